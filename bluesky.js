@@ -0,0 +1,184 @@
+/**
+ * @file bluesky.js
+ *
+ * @brief Fetch Bluesky author feeds through the public AppView XRPC API and map them into the poller's post shape.
+ *
+ * Bluesky posts have no numeric status IDs; they are identified by their at:// URI and
+ * deduplicated against the set of items already seen, like generic feeds.
+ */
+
+'use strict';
+
+/**
+ * Base URL of the AppView serving `app.bsky.feed.getAuthorFeed`. Point it at a local stub
+ * for testing.
+ *
+ * @constant {string} BLUESKY_APPVIEW_URL
+ */
+const BLUESKY_APPVIEW_URL = (process.env.BLUESKY_APPVIEW_URL || 'https://public.api.bsky.app').replace(/\/+$/, '');
+
+/**
+ * Timeout for a single AppView request, in milliseconds.
+ *
+ * @constant {number} BLUESKY_TIMEOUT_MS
+ */
+const BLUESKY_TIMEOUT_MS = Number(process.env.BLUESKY_TIMEOUT_MS || 15_000);
+
+/** Posts requested per author feed fetch. */
+const BLUESKY_FEED_LIMIT = 30;
+
+const REASON_REPOST = 'app.bsky.feed.defs#reasonRepost';
+
+/**
+ * @brief Fetch an account's author feed (posts, replies and reposts), newest first.
+ *
+ * @param {string} actor Handle or DID
+ * @returns {Promise<any[]>} app.bsky.feed.defs#feedViewPost items
+ *
+ * @throws {Error} Timeout, network error or non-2xx status (with the XRPC error message if any)
+ */
+async function getAuthorFeed(actor) {
+    const params = new URLSearchParams({ actor, limit: String(BLUESKY_FEED_LIMIT) });
+    const url = `${BLUESKY_APPVIEW_URL}/xrpc/app.bsky.feed.getAuthorFeed?${params}`;
+
+    const res = await fetch(url, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(BLUESKY_TIMEOUT_MS),
+    });
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        const detail = body?.message || body?.error;
+        throw new Error(`Status code ${res.status}${detail ? ` (${detail})` : ''}`);
+    }
+
+    const body = await res.json();
+    return Array.isArray(body?.feed) ? body.feed : [];
+}
+
+/**
+ * @brief Web URL of a post.
+ *
+ * @param {string} uri at://<did>/app.bsky.feed.post/<rkey>
+ * @param {string} handle Author handle
+ * @returns {string}
+ */
+function postUrl(uri, handle) {
+    const rkey = (uri || '').split('/').pop();
+    return `https://bsky.app/profile/${handle}/post/${rkey}`;
+}
+
+/**
+ * @brief Media attached to a post embed view.
+ *
+ * @param {any} embed Post embed view
+ * @returns {import('./media').TweetMedia[]}
+ */
+function extractEmbedMedia(embed) {
+    switch (embed?.$type) {
+        case 'app.bsky.embed.images#view':
+            return (embed.images || []).map((img) => ({
+                type: 'photo',
+                url: img.fullsize || img.thumb,
+                videoUrl: null,
+                alt: (img.alt || '').trim(),
+            }));
+        case 'app.bsky.embed.video#view':
+            return [{
+                type: 'video',
+                url: embed.thumbnail || '',
+                videoUrl: embed.playlist || null,
+                alt: (embed.alt || '').trim(),
+            }];
+        case 'app.bsky.embed.external#view':
+            return embed.external?.thumb
+                ? [{ type: 'photo', url: embed.external.thumb, videoUrl: null, alt: '' }]
+                : [];
+        case 'app.bsky.embed.recordWithMedia#view':
+            return extractEmbedMedia(embed.media);
+        default:
+            return [];
+    }
+}
+
+/**
+ * @brief The post quoted by a post embed view, if any.
+ *
+ * @param {any} embed Post embed view
+ * @returns {{ author: string, url: string }|null}
+ */
+function extractQuoted(embed) {
+    let record = null;
+    if (embed?.$type === 'app.bsky.embed.record#view') record = embed.record;
+    if (embed?.$type === 'app.bsky.embed.recordWithMedia#view') record = embed.record?.record;
+
+    if (record?.$type !== 'app.bsky.embed.record#viewRecord' || !record.author?.handle) return null;
+    return { author: record.author.handle, url: postUrl(record.uri, record.author.handle) };
+}
+
+/**
+ * @brief Display name and avatar of the tracked account, from its author feed.
+ *
+ * @param {string} handle Tracked handle
+ * @param {any[]} items Author feed items
+ * @returns {import('./rss').AccountProfile|null}
+ */
+function extractBlueskyProfile(handle, items) {
+    const wanted = handle.toLowerCase();
+    const actors = items
+        .flatMap((item) => [item?.post?.author, item?.reason?.by])
+        .filter((a) => a?.handle?.toLowerCase() === wanted || a?.did === handle);
+
+    const actor = actors.find((a) => a.displayName || a.avatar) || actors[0];
+    return actor ? { displayName: actor.displayName || null, avatarUrl: actor.avatar || null } : null;
+}
+
+/**
+ * @brief Convert an author feed item into the post shape used by the poller.
+ *
+ * Reposts become "retweet", replies "reply" and posts embedding another post "quote".
+ *
+ * @param {import('./sources').TrackedSource} source Bluesky source
+ * @param {any} item app.bsky.feed.defs#feedViewPost
+ * @param {import('./rss').AccountProfile|null} profile
+ * @returns {import('./rss').RssTweet} Untranslated post
+ */
+function blueskyItemToPost(source, item, profile) {
+    const post = item.post;
+    const record = post.record || {};
+    const author = post.author?.handle || source.name;
+    const quoted = extractQuoted(post.embed);
+    const isRepost = item.reason?.$type === REASON_REPOST;
+
+    let kind = 'post';
+    if (isRepost) kind = 'retweet';
+    else if (record.reply) kind = 'reply';
+    else if (quoted) kind = 'quote';
+
+    const rawDate = isRepost ? item.reason.indexedAt : (record.createdAt || post.indexedAt);
+    const date = rawDate ? new Date(rawDate) : null;
+
+    return {
+        username: source.name,
+        source: source.key,
+        sourceType: 'bluesky',
+        id: post.uri,
+        url: postUrl(post.uri, author),
+        kind,
+        author,
+        replyTo: kind === 'reply' ? (item.reply?.parent?.author?.handle || null) : null,
+        quotedAuthor: quoted?.author || null,
+        quotedUrl: quoted?.url || null,
+        originalText: typeof record.text === 'string' ? record.text.trim() : '',
+        media: extractEmbedMedia(post.embed),
+        profile,
+        publishedAt: date && !Number.isNaN(date.getTime()) ? date : null,
+    };
+}
+
+module.exports = {
+    BLUESKY_APPVIEW_URL,
+    getAuthorFeed,
+    extractBlueskyProfile,
+    blueskyItemToPost,
+};
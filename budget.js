@@ -0,0 +1,182 @@
+/**
+ * @file budget.js
+ *
+ * @brief Monthly DeepL character budget: billing periods, usage accounting and alert levels.
+ *
+ * Usage is recorded per (billing period, guild, account), so it resets on its own when a new
+ * period starts. The budget counts as exhausted once recorded usage reaches
+ * `DEEPL_MONTHLY_CHAR_BUDGET`, or as soon as DeepL itself reports the quota as exceeded.
+ *
+ * Every translation is charged as soon as DeepL returns it, so the budget check of the next
+ * one already counts it. A translation shared by several guilds is charged to the guild it
+ * was made for, then settled once delivered: the charge is split evenly among the guilds
+ * that received it. The period total matches what DeepL billed, and no guild pays for the
+ * others. When no guild ends up receiving it, the guild it was made for keeps the charge.
+ */
+
+'use strict';
+
+const { QuotaExceededError } = require('deepl-node');
+const { addDeeplUsage, getDeeplUsageTotal, markBudgetAlert } = require('./db');
+
+/**
+ * Characters that may be sent to DeepL per billing period. 0 turns the budget off.
+ *
+ * @constant {number} DEEPL_MONTHLY_CHAR_BUDGET
+ */
+const DEEPL_MONTHLY_CHAR_BUDGET = Math.max(0, Number(process.env.DEEPL_MONTHLY_CHAR_BUDGET ?? 500_000) || 0);
+
+/**
+ * Day of the month (UTC) the DeepL billing period starts. Clamped to the last day of
+ * shorter months.
+ *
+ * @constant {number} DEEPL_BILLING_DAY
+ */
+const DEEPL_BILLING_DAY = Math.min(31, Math.max(1, Math.trunc(Number(process.env.DEEPL_BILLING_DAY || 1)) || 1));
+
+/**
+ * Usage percentages at which admin channels are alerted, once per period each.
+ *
+ * @constant {number[]} BUDGET_ALERT_LEVELS
+ */
+const BUDGET_ALERT_LEVELS = [80, 100];
+
+/** Billing period in which DeepL rejected a request for exceeding the quota. */
+let g_quotaExceededPeriod = null;
+
+/**
+ * @brief Billing day of a given month, clamped to the month's length.
+ *
+ * @param {number} year
+ * @param {number} month 0-based
+ * @returns {number}
+ */
+function billingDayOf(year, month) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return Math.min(DEEPL_BILLING_DAY, daysInMonth);
+}
+
+/**
+ * @brief Billing period containing a point in time.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {{ period: string, resetsAt: Date }} Period key (start date, YYYY-MM-DD) and when the next period starts
+ */
+function getBillingPeriod(now = new Date()) {
+    let year = now.getUTCFullYear();
+    let month = now.getUTCMonth();
+
+    if (now.getUTCDate() < billingDayOf(year, month)) {
+        month--;
+        if (month < 0) {
+            month = 11;
+            year--;
+        }
+    }
+
+    const start = new Date(Date.UTC(year, month, billingDayOf(year, month)));
+    const nextYear = month === 11 ? year + 1 : year;
+    const nextMonth = (month + 1) % 12;
+    const resetsAt = new Date(Date.UTC(nextYear, nextMonth, billingDayOf(nextYear, nextMonth)));
+
+    return { period: start.toISOString().slice(0, 10), resetsAt };
+}
+
+/**
+ * @brief Budget state for the current billing period.
+ *
+ * @returns {{ period: string, resetsAt: Date, used: number, budget: number, exhausted: boolean }}
+ */
+function getBudgetStatus() {
+    const { period, resetsAt } = getBillingPeriod();
+    const used = getDeeplUsageTotal(period);
+    const exhausted = g_quotaExceededPeriod === period
+        || (DEEPL_MONTHLY_CHAR_BUDGET > 0 && used >= DEEPL_MONTHLY_CHAR_BUDGET);
+
+    return { period, resetsAt, used, budget: DEEPL_MONTHLY_CHAR_BUDGET, exhausted };
+}
+
+/**
+ * @brief Whether DeepL must not be used for the rest of the current billing period.
+ *
+ * @returns {boolean}
+ */
+function isBudgetExhausted() {
+    return getBudgetStatus().exhausted;
+}
+
+/**
+ * @brief Record characters sent to DeepL and report alert levels crossed for the first time.
+ *
+ * @param {string} guildId  Discord server ID the translation was made for
+ * @param {string} username Account the text came from
+ * @param {number} characters
+ * @returns {{ period: string, levels: number[] }} Newly crossed alert levels (may be empty)
+ */
+function recordDeeplUsage(guildId, username, characters) {
+    const { period } = getBillingPeriod();
+    addDeeplUsage(period, guildId || '', username || '', characters);
+
+    if (DEEPL_MONTHLY_CHAR_BUDGET <= 0) return { period, levels: [] };
+
+    const pct = (getDeeplUsageTotal(period) / DEEPL_MONTHLY_CHAR_BUDGET) * 100;
+    const levels = BUDGET_ALERT_LEVELS.filter((level) => pct >= level && markBudgetAlert(period, level));
+
+    return { period, levels };
+}
+
+/**
+ * @brief Move the characters of a shared translation from the guild it was charged to onto
+ *        the guilds it was delivered to, split evenly among them.
+ *
+ * The period total does not change, so no alert level can be crossed. The first recipients
+ * are charged the remainder, so the shares add up to `characters`.
+ *
+ * @param {string} period Billing period the translation was charged in
+ * @param {{ guildId: string, username: string }} requester Guild and account recordDeeplUsage() charged
+ * @param {{ guildId: string, username: string }[]} recipients Guilds the translation was delivered to, with the name each tracks the account under
+ * @param {number} characters
+ */
+function settleSharedDeeplUsage(period, requester, recipients, characters) {
+    if (recipients.length === 0 || characters <= 0) return;
+
+    addDeeplUsage(period, requester.guildId || '', requester.username || '', -characters);
+
+    recipients.forEach(({ guildId, username }, i) => {
+        const share = Math.floor(characters / recipients.length) + (i < characters % recipients.length ? 1 : 0);
+        if (share > 0) addDeeplUsage(period, guildId || '', username || '', share);
+    });
+}
+
+/**
+ * @brief Mark the current period as exhausted after DeepL rejected a request for quota.
+ *
+ * @returns {{ period: string, levels: number[] }} [100] the first time this happens in a period
+ */
+function markQuotaExceeded() {
+    const { period } = getBillingPeriod();
+    g_quotaExceededPeriod = period;
+    return { period, levels: markBudgetAlert(period, 100) ? [100] : [] };
+}
+
+/**
+ * @brief Whether a provider error is DeepL reporting that the account quota is used up.
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isDeeplQuotaError(err) {
+    return err instanceof QuotaExceededError;
+}
+
+module.exports = {
+    DEEPL_MONTHLY_CHAR_BUDGET,
+    DEEPL_BILLING_DAY,
+    getBillingPeriod,
+    getBudgetStatus,
+    isBudgetExhausted,
+    recordDeeplUsage,
+    settleSharedDeeplUsage,
+    markQuotaExceeded,
+    isDeeplQuotaError,
+};
@@ -1,450 +1,2737 @@
-/**
- * @file commands.js
- *
- * @brief Slash commands.
- */
-
-const { ChannelType, PermissionFlagsBits, SlashCommandBuilder, MessageFlags } = require('discord.js');
-const {
-    setGuildNewsChannel,
-    setGuildPingRole,
-    addTrackedAccount,
-    removeTrackedAccount,
-    listTrackedAccounts,
-} = require('./db');
-const { log, error } = require('./logger');
-const { version } = require('./package.json');
-
-// HELPER FUNCTIONS
-/**
- * @brief Normalize username for storage.
- *
- * @param {string} username Raw username input
- * @returns {string} Normalized username (no leading '@')
- */
-function normalizeUsername(username) {
-    const trimmed = username.trim();
-    return trimmed.startsWith('@') ? trimmed.slice(1) : trimmed;
-}
-
-/**
- * @brief Converts a selected Discord role into the stored ping_role value.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
- * @param {import('discord.js').Role} role Selected role
- * @returns {string} "everyone" or role ID string
- */
-function roleToPingRole(interaction, role) {
-    if (role.id === interaction.guildId) return 'everyone';
-    return role.id;
-}
-
-/**
- * @brief Formats a stored ping_role value for display.
- *
- * @param {string} pingRole "everyone" or role ID
- * @returns {string} Human-readable ping target
- */
-function formatPingRole(pingRole) {
-    if (pingRole === 'everyone') return '@everyone';
-    return `<@&${pingRole}>`;
-}
-
-// COMMAND CONFIGURATIONS
-/**
- * @brief /setup configuration.
- */
-const setupCommand = new SlashCommandBuilder()
-    .setName('setup')
-    .setDescription('Configure which channel receives the translated news posts.')
-    .addChannelOption((opt) =>
-        opt
-            .setName('channel')
-            .setDescription('Channel where news should be posted')
-            .setRequired(true)
-            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
-    )
-    .addRoleOption((opt) =>
-        opt
-            .setName('role')
-            .setDescription('Role to ping for news')
-            .setRequired(true)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
-
-/**
- * @brief /setchannel configuration.
- */
-const setChannelCommand = new SlashCommandBuilder()
-    .setName('setchannel')
-    .setDescription('Set which channel receives the translated news posts.')
-    .addChannelOption((opt) =>
-        opt
-            .setName('channel')
-            .setDescription('Channel where news should be posted')
-            .setRequired(true)
-            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
-
-/**
- * @brief /setpingrole configuration.
- */
-const setPingRoleCommand = new SlashCommandBuilder()
-    .setName('setpingrole')
-    .setDescription('Set which role the bot pings when posting news.')
-    .addRoleOption((opt) =>
-        opt
-            .setName('role')
-            .setDescription('Role to ping for news')
-            .setRequired(true)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
-
-/**
- * @brief /addaccount configuration.
- */
-const addAccountCommand = new SlashCommandBuilder()
-    .setName('addaccount')
-    .setDescription('Add a Twitter username to track for this server.')
-    .addStringOption((opt) =>
-        opt
-            .setName('username')
-            .setDescription('Twitter/X username (their @)')
-            .setRequired(true)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
-
-/**
- * @brief /removeaccount configuration.
- */
-const removeAccountCommand = new SlashCommandBuilder()
-    .setName('removeaccount')
-    .setDescription('Remove a tracked Twitter/X username for this server.')
-    .addStringOption((opt) =>
-        opt
-            .setName('username')
-            .setDescription('Twitter/X username (their @)')
-            .setRequired(true)
-    )
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
-
-/**
- * @brief /listaccounts configuration.
- */
-const listAccountsCommand = new SlashCommandBuilder()
-    .setName('listaccounts')
-    .setDescription('List all tracked Twitter/X usernames for this server.')
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
-
-/**
- * @brief /info configuration.
- */
-const infoCommand = new SlashCommandBuilder()
-    .setName('info')
-    .setDescription('Displays information about this bot.');
-
-// COMMAND HANDLERS
-/**
- * @brief /setup implementation.
- *
- * Stores channel + ping role, and adds shu1aso by default.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
- */
-async function handleSetup(interaction) {
-    if (!interaction.inGuild()) {
-        await interaction.reply({
-            content: 'This command can only be used in a server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const guildId = interaction.guildId;
-    const channel = interaction.options.getChannel('channel', true);
-    const role = interaction.options.getRole('role', true);
-
-    if (!channel.isTextBased()) {
-        await interaction.reply({
-            content: 'That channel is not text-based.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const pingRole = roleToPingRole(interaction, role);
-
-    setGuildNewsChannel(guildId, channel.id);
-    setGuildPingRole(guildId, pingRole);
-    addTrackedAccount(guildId, 'shu1aso');
-
-    await interaction.reply({
-        content: `Configured news channel to ${channel} and ping target to ${formatPingRole(pingRole)}.`,
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief /setchannel implementation.
- *
- * Updates the news post channel for the server.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
- */
-async function handleSetChannel(interaction) {
-    if (!interaction.inGuild()) {
-        await interaction.reply({
-            content: 'This command can only be used in a server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const guildId = interaction.guildId;
-    const channel = interaction.options.getChannel('channel', true);
-
-    if (!channel.isTextBased()) {
-        await interaction.reply({
-            content: 'That channel is not text-based.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    setGuildNewsChannel(guildId, channel.id);
-
-    await interaction.reply({
-        content: `News channel updated to ${channel}.`,
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief /setpingrole implementation.
- *
- * Updates ping_role for the server.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
- */
-async function handleSetPingRole(interaction) {
-    if (!interaction.inGuild()) {
-        await interaction.reply({
-            content: 'This command can only be used in a server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const guildId = interaction.guildId;
-    const role = interaction.options.getRole('role', true);
-    const pingRole = roleToPingRole(interaction, role);
-
-    setGuildPingRole(guildId, pingRole);
-
-    await interaction.reply({
-        content: `Ping target updated to ${formatPingRole(pingRole)}.`,
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief /addaccount implementation.
- *
- * Adds a username to tracked_account for the Discord server.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
- */
-async function handleAddAccount(interaction) {
-    if (!interaction.inGuild()) {
-        await interaction.reply({
-            content: 'This command can only be used in a server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const guildId = interaction.guildId;
-    const raw = interaction.options.getString('username', true);
-    const username = normalizeUsername(raw);
-
-    const inserted = addTrackedAccount(guildId, username);
-
-    if (!inserted) {
-        await interaction.reply({
-            content: `Error: That account is already being tracked.`,
-            ephemeral: true,
-        });
-        return;
-    }
-
-    await interaction.reply({
-        content: `Added account \`${username}\` to the tracked list.`,
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief /removeaccount implementation.
- *
- * Removes a username from tracked_account for the Discord server.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction
- */
-async function handleRemoveAccount(interaction) {
-    if (!interaction.inGuild()) {
-        await interaction.reply({
-            content: 'This command can only be used in a server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const guildId = interaction.guildId;
-    const raw = interaction.options.getString('username', true);
-    const username = normalizeUsername(raw);
-
-    const removed = removeTrackedAccount(guildId, username);
-
-    if (!removed) {
-        await interaction.reply({
-            content: 'Error: Account not found in database',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    await interaction.reply({
-        content: `Removed account \`${username}\` from the tracked list.`,
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief /listaccounts implementation.
- *
- * Lists all usernames in tracked_account for the Discord server.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction
- */
-async function handleListAccounts(interaction) {
-    if (!interaction.inGuild()) {
-        await interaction.reply({
-            content: 'This command can only be used in a server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const guildId = interaction.guildId;
-    const accounts = listTrackedAccounts(guildId);
-
-    if (!accounts || accounts.length === 0) {
-        await interaction.reply({
-            content: 'No tracked accounts found for this server.',
-            ephemeral: true,
-        });
-        return;
-    }
-
-    const lines = accounts.map((u) => `• @${u}`).join('\n');
-
-    await interaction.reply({
-        content: `Tracked Twitter accounts:\n${lines}`,
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief /info implementation.
- *
- * Sends information about the bot.
- *
- * @param {import('discord.js').ChatInputCommandInteraction} interaction
- */
-async function handleInfo(interaction) {
-    const embed = {
-        color: 0xfc389d, // Kusuo's hair color :)
-        title: 'Ψ Asoubot Ψ',
-        description:
-            'Tracks Twitter/X accounts and automatically translates posts for your Discord server. Tracks Asou Shuuichi by default.',
-        fields: [
-            {
-                name: 'Commands',
-                value:
-                    '`/setup` - Set news channel & ping role\n' +
-                    '`/setchannel` - Change news channel\n' +
-                    '`/setpingrole` - Change ping role\n' +
-                    '`/addaccount` - Add a tracked account\n' +
-                    '`/removeaccount` - Remove a tracked account\n' +
-                    '`/listaccounts` - View all tracked accounts\n' +
-                    '`/info` - View bot info',
-            },
-            {
-                name: 'Support',
-                value: '[Report issues on GitHub](https://github.com/Arcane-Mirage/asoubot/issues)',
-            },
-        ],
-        footer: {
-            text: `Ψ Developed by Arcana | Version ${version} Ψ`,
-        },
-    };
-
-    await interaction.reply({
-        embeds: [embed],
-        ephemeral: true,
-    });
-}
-
-/**
- * @brief Handles incoming interactions and routes commands.
- *
- * @param {import('discord.js').Interaction} interaction Discord interaction
- */
-async function handleInteraction(interaction) {
-    if (!interaction.isChatInputCommand()) return;
-
-    if (interaction.commandName === 'setup') {
-        await handleSetup(interaction);
-    } else if (interaction.commandName === 'setchannel') {
-        await handleSetChannel(interaction);
-    } else if (interaction.commandName === 'setpingrole') {
-        await handleSetPingRole(interaction);
-    } else if (interaction.commandName === 'addaccount') {
-        await handleAddAccount(interaction);
-    } else if (interaction.commandName === 'removeaccount') {
-        await handleRemoveAccount(interaction);
-    } else if (interaction.commandName === 'listaccounts') {
-        await handleListAccounts(interaction);
-    } else if (interaction.commandName === 'info') {
-        await handleInfo(interaction);
-    }
-}
-
-/**
- * @brief Registers slash commands for the bot.
- *
- * @param {import('discord.js').Client} client Discord client
- */
-async function registerCommands(client) {
-    const cmdJSON = [
-        setupCommand.toJSON(),
-        setChannelCommand.toJSON(),
-        setPingRoleCommand.toJSON(),
-        addAccountCommand.toJSON(),
-        removeAccountCommand.toJSON(),
-        listAccountsCommand.toJSON(),
-        infoCommand.toJSON(),
-    ];
-
-    const guilds = await client.guilds.fetch();
-    for (const [, guildRef] of guilds) {
-        const guild = await guildRef.fetch();
-        await guild.commands.set(cmdJSON);
-    }
-}
-
-module.exports = {
-    registerCommands,
-    handleInteraction,
-};
+/**
+ * @file commands.js
+ *
+ * @brief Slash commands.
+ */
+
+const {
+    ChannelType,
+    PermissionFlagsBits,
+    SlashCommandBuilder,
+    MessageFlags,
+    ComponentType,
+    TextInputStyle,
+    ContextMenuCommandBuilder,
+    ApplicationCommandType,
+} = require('discord.js');
+const {
+    setGuildNewsChannel,
+    setGuildAdminChannel,
+    setGuildTranslatorRole,
+    setGuildPingRole,
+    setGuildTargetLang,
+    addTrackedAccount,
+    addTrackedFeed,
+    setTrackedAccountRoute,
+    setTrackedAccountFastPoll,
+    removeTrackedAccount,
+    listTrackedAccountRoutes,
+    getTrackedAccount,
+    addAccountFilter,
+    removeAccountFilter,
+    listAccountFilters,
+    setGuildPostKinds,
+    setTrackedAccountPostKinds,
+    isPostKindEnabled,
+    getGuildNewsChannel,
+    getFeedCursor,
+    listDeeplUsageByAccount,
+    getGuildTemplate,
+    setGuildTemplate,
+    resetGuildTemplate,
+    getGuildTargetLang,
+    setGuildDeliveryMode,
+    getGuildDeliveryMode,
+    upsertGlossaryTerms,
+    removeGlossaryTerm,
+    listGlossaryTerms,
+    getDeeplGlossary,
+    getGuildConfig,
+    addTranslationCorrection,
+    listTranslationCorrections,
+} = require('./db');
+const { log, error } = require('./logger');
+const { TARGET_LANGUAGES, findTargetLanguage } = require('./languages');
+const { compileFilter, normalizeHashtag } = require('./filters');
+const { pollSoon, getAccountSchedule } = require('./schedule');
+const { getPollStatus, getNitterHealth, probeFeed } = require('./rss');
+const { sourceFromRow, formatSourceName } = require('./sources');
+const { deeplClient } = require('./translators');
+const { getBudgetStatus } = require('./budget');
+const {
+    GLOSSARY_LANGUAGES,
+    GLOSSARY_TERM_MAX_CHARS,
+    glossaryLangOf,
+    parseGlossaryLang,
+    normalizeTerm,
+    parseGlossaryCsv,
+    syncGlossary,
+} = require('./glossaries');
+const { languageName } = require('./langdetect');
+const {
+    POST_BUTTON_RETRANSLATE,
+    POST_BUTTON_REPORT,
+    POST_BUTTON_TOGGLE,
+    RETRANSLATE_MENU,
+    REPORT_MODAL,
+    CORRECT_MODAL,
+    CORRECT_MAX_PARTS,
+    loadPost,
+    renderPost,
+    showPost,
+    retranslateChoices,
+    retranslatePost,
+    correctableTexts,
+    applyCorrection,
+} = require('./post_actions');
+const {
+    TEMPLATE_LAYOUTS,
+    TEMPLATE_PLACEHOLDERS,
+    resolveTemplate,
+    parseColor,
+    formatColor,
+    buildTweetMessage,
+} = require('./templates');
+const { version } = require('./package.json');
+
+// HELPER FUNCTIONS
+/**
+ * @brief Normalize username for storage.
+ *
+ * @param {string} username Raw username input
+ * @returns {string} Normalized username (no leading '@')
+ */
+function normalizeUsername(username) {
+    const trimmed = username.trim();
+    return trimmed.startsWith('@') ? trimmed.slice(1) : trimmed;
+}
+
+/**
+ * @brief Whether a string is a Bluesky handle (e.g. "alice.bsky.social") or DID.
+ *
+ * @param {string} actor
+ * @returns {boolean}
+ */
+function isValidBlueskyActor(actor) {
+    if (/^did:[a-z]+:[A-Za-z0-9._:%-]+$/.test(actor)) return true;
+    return actor.length <= 253
+        && /^([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(actor);
+}
+
+/**
+ * @brief Converts a selected Discord role into the stored ping_role value.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ * @param {import('discord.js').Role} role Selected role
+ * @returns {string} "everyone" or role ID string
+ */
+function roleToPingRole(interaction, role) {
+    if (role.id === interaction.guildId) return 'everyone';
+    return role.id;
+}
+
+/**
+ * @brief Formats a timestamp as a Discord relative time tag.
+ *
+ * @param {number|null} ms Timestamp in milliseconds
+ * @returns {string} e.g. "<t:1700000000:R>", or "never"
+ */
+function formatRelativeTime(ms) {
+    if (!ms) return 'never';
+    return `<t:${Math.floor(ms / 1000)}:R>`;
+}
+
+/**
+ * @brief Joins lines into an embed field value, truncated to Discord's 1024 character limit.
+ *
+ * @param {string[]} lines
+ * @returns {string}
+ */
+function toFieldValue(lines) {
+    const value = lines.join('\n') || '(none)';
+    return value.length > 1024 ? `${value.slice(0, 1021)}...` : value;
+}
+
+/**
+ * @brief Formats a stored ping_role value for display.
+ *
+ * @param {string} pingRole "everyone" or role ID
+ * @returns {string} Human-readable ping target
+ */
+function formatPingRole(pingRole) {
+    if (pingRole === 'everyone') return '@everyone';
+    return `<@&${pingRole}>`;
+}
+
+// COMMAND CONFIGURATIONS
+/**
+ * @brief /setup configuration.
+ */
+const setupCommand = new SlashCommandBuilder()
+    .setName('setup')
+    .setDescription('Configure which channel receives the translated news posts.')
+    .addChannelOption((opt) =>
+        opt
+            .setName('channel')
+            .setDescription('Channel where news should be posted')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    )
+    .addRoleOption((opt) =>
+        opt
+            .setName('role')
+            .setDescription('Role to ping for news')
+            .setRequired(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /setchannel configuration.
+ */
+const setChannelCommand = new SlashCommandBuilder()
+    .setName('setchannel')
+    .setDescription('Set which channel receives the translated news posts.')
+    .addChannelOption((opt) =>
+        opt
+            .setName('channel')
+            .setDescription('Channel where news should be posted')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /setadminchannel configuration.
+ */
+const setAdminChannelCommand = new SlashCommandBuilder()
+    .setName('setadminchannel')
+    .setDescription('Set which channel receives bot alerts and translation reports.')
+    .addChannelOption((opt) =>
+        opt
+            .setName('channel')
+            .setDescription('Channel for alerts and reports (leave empty to turn them off)')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /settranslatorrole configuration.
+ */
+const setTranslatorRoleCommand = new SlashCommandBuilder()
+    .setName('settranslatorrole')
+    .setDescription('Set which role may correct translations of posted news.')
+    .addRoleOption((opt) =>
+        opt
+            .setName('role')
+            .setDescription('Translator role (leave empty so only admins can correct)')
+            .setRequired(false)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /setpingrole configuration.
+ */
+const setPingRoleCommand = new SlashCommandBuilder()
+    .setName('setpingrole')
+    .setDescription('Set which role the bot pings when posting news.')
+    .addRoleOption((opt) =>
+        opt
+            .setName('role')
+            .setDescription('Role to ping for news')
+            .setRequired(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /setlanguage configuration.
+ */
+const setLanguageCommand = new SlashCommandBuilder()
+    .setName('setlanguage')
+    .setDescription('Set which language news posts are translated into.')
+    .addStringOption((opt) =>
+        opt
+            .setName('language')
+            .setDescription('Target language')
+            .setRequired(true)
+            .setAutocomplete(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /addaccount configuration.
+ */
+const addAccountCommand = new SlashCommandBuilder()
+    .setName('addaccount')
+    .setDescription('Add a Twitter or Bluesky account to track for this server.')
+    .addStringOption((opt) =>
+        opt
+            .setName('username')
+            .setDescription('Twitter/X username or Bluesky handle (their @)')
+            .setRequired(true)
+    )
+    .addStringOption((opt) =>
+        opt
+            .setName('platform')
+            .setDescription('Where the account posts (default: Twitter/X)')
+            .addChoices(
+                { name: 'Twitter/X', value: 'nitter' },
+                { name: 'Bluesky', value: 'bluesky' },
+            )
+    )
+    .addChannelOption((opt) =>
+        opt
+            .setName('channel')
+            .setDescription('Post this account in a different channel than the news channel')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    )
+    .addRoleOption((opt) =>
+        opt
+            .setName('role')
+            .setDescription('Ping a different role than the server ping role for this account')
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /addfeed configuration.
+ */
+const addFeedCommand = new SlashCommandBuilder()
+    .setName('addfeed')
+    .setDescription('Track an RSS or Atom feed (blog, YouTube channel, Mastodon account, ...).')
+    .addStringOption((opt) =>
+        opt
+            .setName('name')
+            .setDescription('Short name for the feed, used by /removeaccount, /filter and other commands')
+            .setRequired(true)
+            .setMaxLength(50)
+    )
+    .addStringOption((opt) =>
+        opt
+            .setName('url')
+            .setDescription('Feed URL (RSS or Atom)')
+            .setRequired(true)
+    )
+    .addChannelOption((opt) =>
+        opt
+            .setName('channel')
+            .setDescription('Post this feed in a different channel than the news channel')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    )
+    .addRoleOption((opt) =>
+        opt
+            .setName('role')
+            .setDescription('Ping a different role than the server ping role for this feed')
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /removeaccount configuration.
+ */
+const removeAccountCommand = new SlashCommandBuilder()
+    .setName('removeaccount')
+    .setDescription('Remove a tracked Twitter/X username for this server.')
+    .addStringOption((opt) =>
+        opt
+            .setName('username')
+            .setDescription('Twitter/X username (their @)')
+            .setRequired(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /listaccounts configuration.
+ */
+const listAccountsCommand = new SlashCommandBuilder()
+    .setName('listaccounts')
+    .setDescription('List all tracked Twitter/X usernames for this server.')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief Adds the source and target language options shared by the /glossary subcommands.
+ *
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder}
+ */
+function addGlossaryLanguageOptions(sub) {
+    return sub
+        .addStringOption((opt) =>
+            opt
+                .setName('from')
+                .setDescription('Language of the source terms (default: ja)')
+                .setAutocomplete(true)
+        )
+        .addStringOption((opt) =>
+            opt
+                .setName('to')
+                .setDescription('Language of the target terms (default: the server translation language)')
+                .setAutocomplete(true)
+        );
+}
+
+/**
+ * @brief /glossary configuration.
+ */
+const glossaryCommand = new SlashCommandBuilder()
+    .setName('glossary')
+    .setDescription('Manage DeepL glossary terms (names, titles, ...) for this server.')
+    .addSubcommand((sub) =>
+        addGlossaryLanguageOptions(
+            sub
+                .setName('add')
+                .setDescription('Add a term or change its translation.')
+                .addStringOption((opt) =>
+                    opt
+                        .setName('source')
+                        .setDescription('Term as written in posts, e.g. 斉木楠雄')
+                        .setRequired(true)
+                        .setMaxLength(GLOSSARY_TERM_MAX_CHARS)
+                )
+                .addStringOption((opt) =>
+                    opt
+                        .setName('target')
+                        .setDescription('How the term must be translated, e.g. Kusuo Saiki')
+                        .setRequired(true)
+                        .setMaxLength(GLOSSARY_TERM_MAX_CHARS)
+                )
+        )
+    )
+    .addSubcommand((sub) =>
+        addGlossaryLanguageOptions(
+            sub
+                .setName('remove')
+                .setDescription('Remove a term.')
+                .addStringOption((opt) =>
+                    opt
+                        .setName('source')
+                        .setDescription('Source term to remove')
+                        .setRequired(true)
+                )
+        )
+    )
+    .addSubcommand((sub) =>
+        sub
+            .setName('list')
+            .setDescription('List glossary terms.')
+            .addStringOption((opt) =>
+                opt
+                    .setName('from')
+                    .setDescription('Only list terms from this language')
+                    .setAutocomplete(true)
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('to')
+                    .setDescription('Only list terms into this language')
+                    .setAutocomplete(true)
+            )
+    )
+    .addSubcommand((sub) =>
+        addGlossaryLanguageOptions(
+            sub
+                .setName('import')
+                .setDescription('Import terms from a CSV file (source,target[,source_lang,target_lang] per line).')
+                .addAttachmentOption((opt) =>
+                    opt
+                        .setName('file')
+                        .setDescription('CSV file')
+                        .setRequired(true)
+                )
+        )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /filter configuration.
+ */
+const filterCommand = new SlashCommandBuilder()
+    .setName('filter')
+    .setDescription('Manage keyword, hashtag and regex filters for tracked accounts.')
+    .addSubcommand((sub) =>
+        sub
+            .setName('add')
+            .setDescription('Add an include or exclude rule for a tracked account.')
+            .addStringOption((opt) =>
+                opt
+                    .setName('username')
+                    .setDescription('Twitter/X username (their @)')
+                    .setRequired(true)
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('mode')
+                    .setDescription('Only post matching tweets (include) or never post them (exclude)')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'include', value: 'include' },
+                        { name: 'exclude', value: 'exclude' },
+                    )
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('type')
+                    .setDescription('How the pattern is matched')
+                    .setRequired(true)
+                    .addChoices(
+                        { name: 'keyword', value: 'keyword' },
+                        { name: 'hashtag', value: 'hashtag' },
+                        { name: 'regex', value: 'regex' },
+                    )
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('pattern')
+                    .setDescription('Keyword, hashtag or regular expression (case-insensitive)')
+                    .setRequired(true)
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('field')
+                    .setDescription('Text to check the rule against (default: original)')
+                    .addChoices(
+                        { name: 'original', value: 'original' },
+                        { name: 'translated', value: 'translated' },
+                        { name: 'either', value: 'any' },
+                    )
+            )
+    )
+    .addSubcommand((sub) =>
+        sub
+            .setName('remove')
+            .setDescription('Remove a filter rule.')
+            .addIntegerOption((opt) =>
+                opt
+                    .setName('id')
+                    .setDescription('Rule ID from /filter list')
+                    .setRequired(true)
+            )
+    )
+    .addSubcommand((sub) =>
+        sub
+            .setName('list')
+            .setDescription('List filter rules.')
+            .addStringOption((opt) =>
+                opt
+                    .setName('username')
+                    .setDescription('Only show rules for this Twitter/X username')
+            )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief Adds a post-kind toggle option to /posttypes.
+ *
+ * @param {import('discord.js').SlashCommandBuilder} builder
+ * @param {string} name Option name
+ * @param {string} description Option description
+ * @returns {import('discord.js').SlashCommandBuilder}
+ */
+function addPostKindOption(builder, name, description) {
+    return builder.addStringOption((opt) =>
+        opt
+            .setName(name)
+            .setDescription(description)
+            .addChoices(
+                { name: 'post', value: 'on' },
+                { name: 'skip', value: 'off' },
+                { name: 'server default (account only)', value: 'default' },
+            )
+    );
+}
+
+/**
+ * @brief /posttypes configuration.
+ */
+const postTypesCommand = new SlashCommandBuilder()
+    .setName('posttypes')
+    .setDescription('Choose whether retweets, replies and quote tweets are posted.')
+    .addStringOption((opt) =>
+        opt
+            .setName('username')
+            .setDescription('Only change this Twitter/X username (default: whole server)')
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+addPostKindOption(postTypesCommand, 'retweets', 'Post retweets');
+addPostKindOption(postTypesCommand, 'replies', 'Post replies');
+addPostKindOption(postTypesCommand, 'quotes', 'Post quote tweets');
+
+/**
+ * @brief /deliverymode configuration.
+ */
+const deliveryModeCommand = new SlashCommandBuilder()
+    .setName('deliverymode')
+    .setDescription('Choose whether posts come from the bot or appear as the tracked account.')
+    .addStringOption((opt) =>
+        opt
+            .setName('mode')
+            .setDescription('bot: post as Asoubot; webhook: post with the account\'s name and avatar')
+            .setRequired(true)
+            .addChoices(
+                { name: 'bot', value: 'bot' },
+                { name: 'webhook', value: 'webhook' },
+            )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /pollspeed configuration.
+ */
+const pollSpeedCommand = new SlashCommandBuilder()
+    .setName('pollspeed')
+    .setDescription('Pin a tracked account to fast polling, or let it back off when quiet.')
+    .addStringOption((opt) =>
+        opt
+            .setName('username')
+            .setDescription('Twitter/X username (their @)')
+            .setRequired(true)
+    )
+    .addStringOption((opt) =>
+        opt
+            .setName('speed')
+            .setDescription('fast: always poll at the base interval; auto: poll less often when quiet')
+            .setRequired(true)
+            .addChoices(
+                { name: 'fast', value: 'fast' },
+                { name: 'auto', value: 'auto' },
+            )
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /template configuration.
+ */
+const templateCommand = new SlashCommandBuilder()
+    .setName('template')
+    .setDescription('Customize how posts look in this server.')
+    .addSubcommand((sub) =>
+        sub
+            .setName('set')
+            .setDescription('Change template settings. Text settings accept {placeholders}; "default" restores one.')
+            .addStringOption((opt) =>
+                opt
+                    .setName('color')
+                    .setDescription('Embed color as hex, e.g. #fc389d')
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('title')
+                    .setDescription('Embed title, e.g. "New post from @{username}" ("none" for no title)')
+                    .setMaxLength(256)
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('description')
+                    .setDescription('Text above the fields, e.g. "{headline}" ("none" for no description)')
+                    .setMaxLength(4000)
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('footer')
+                    .setDescription('Footer text, e.g. "{provider} · {published}" ("none" for no footer)')
+                    .setMaxLength(2048)
+            )
+            .addStringOption((opt) =>
+                opt
+                    .setName('layout')
+                    .setDescription('How the original and translated text are arranged')
+                    .addChoices(...TEMPLATE_LAYOUTS.map((l) => ({ name: l, value: l })))
+            )
+            .addBooleanOption((opt) =>
+                opt
+                    .setName('show_original')
+                    .setDescription('Show the original text')
+            )
+            .addBooleanOption((opt) =>
+                opt
+                    .setName('show_disclaimer')
+                    .setDescription('Show the machine translation disclaimer')
+            )
+            .addBooleanOption((opt) =>
+                opt
+                    .setName('show_link')
+                    .setDescription('Send the link to the post with the embed')
+            )
+    )
+    .addSubcommand((sub) =>
+        sub
+            .setName('reset')
+            .setDescription('Restore the default template.')
+    )
+    .addSubcommand((sub) =>
+        sub
+            .setName('preview')
+            .setDescription('Show a sample post rendered with the current template.')
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief "Correct translation" message command configuration.
+ */
+const correctCommand = new ContextMenuCommandBuilder()
+    .setName('Correct translation')
+    .setType(ApplicationCommandType.Message);
+
+/**
+ * @brief /corrections configuration.
+ */
+const correctionsCommand = new SlashCommandBuilder()
+    .setName('corrections')
+    .setDescription('List recent translation corrections, per account.')
+    .addStringOption((opt) =>
+        opt
+            .setName('account')
+            .setDescription('Only show corrections of this account')
+            .setRequired(false)
+    );
+
+/**
+ * @brief /status configuration.
+ */
+const statusCommand = new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('Show polling health, per-account fetch results and translation quota.')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+
+/**
+ * @brief /info configuration.
+ */
+const infoCommand = new SlashCommandBuilder()
+    .setName('info')
+    .setDescription('Displays information about this bot.');
+
+// COMMAND HANDLERS
+/**
+ * @brief /setup implementation.
+ *
+ * Stores channel + ping role, and adds shu1aso by default.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleSetup(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const channel = interaction.options.getChannel('channel', true);
+    const role = interaction.options.getRole('role', true);
+
+    if (!channel.isTextBased()) {
+        await interaction.reply({
+            content: 'That channel is not text-based.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const pingRole = roleToPingRole(interaction, role);
+
+    setGuildNewsChannel(guildId, channel.id);
+    setGuildPingRole(guildId, pingRole);
+    addTrackedAccount(guildId, 'shu1aso');
+
+    await interaction.reply({
+        content: `Configured news channel to ${channel} and ping target to ${formatPingRole(pingRole)}.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /setchannel implementation.
+ *
+ * Updates the news post channel for the server.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleSetChannel(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const channel = interaction.options.getChannel('channel', true);
+
+    if (!channel.isTextBased()) {
+        await interaction.reply({
+            content: 'That channel is not text-based.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    setGuildNewsChannel(guildId, channel.id);
+
+    await interaction.reply({
+        content: `News channel updated to ${channel}.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /setadminchannel implementation.
+ *
+ * Updates (or clears) the alert channel for the server.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleSetAdminChannel(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const channel = interaction.options.getChannel('channel');
+
+    if (!channel) {
+        setGuildAdminChannel(guildId, null);
+        await interaction.reply({
+            content: 'Admin alerts and translation reports turned off.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (!channel.isTextBased()) {
+        await interaction.reply({
+            content: 'That channel is not text-based.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    setGuildAdminChannel(guildId, channel.id);
+
+    await interaction.reply({
+        content: `Admin alerts and translation reports will be posted in ${channel}.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /settranslatorrole implementation.
+ *
+ * Updates (or clears) the role allowed to correct translations.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleSetTranslatorRole(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const role = interaction.options.getRole('role');
+    setGuildTranslatorRole(interaction.guildId, role ? role.id : null);
+
+    await interaction.reply({
+        content: role
+            ? `Members with ${role} can now correct translations (right-click a post → Apps → Correct translation).`
+            : 'Translator role cleared. Only members with Manage Server can correct translations.',
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /setpingrole implementation.
+ *
+ * Updates ping_role for the server.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleSetPingRole(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const role = interaction.options.getRole('role', true);
+    const pingRole = roleToPingRole(interaction, role);
+
+    setGuildPingRole(guildId, pingRole);
+
+    await interaction.reply({
+        content: `Ping target updated to ${formatPingRole(pingRole)}.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /setlanguage implementation.
+ *
+ * Updates target_lang for the server.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleSetLanguage(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const raw = interaction.options.getString('language', true);
+    const language = findTargetLanguage(raw);
+
+    if (!language) {
+        await interaction.reply({
+            content: `Error: \`${raw}\` is not a supported language.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    setGuildTargetLang(guildId, language.code);
+
+    await interaction.reply({
+        content: `Translation language updated to ${language.name} (\`${language.code}\`).`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /setlanguage autocomplete.
+ *
+ * Suggests target languages matching the typed code or name.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction Autocomplete interaction
+ */
+async function autocompleteSetLanguage(interaction) {
+    const typed = interaction.options.getFocused().trim().toLowerCase();
+
+    const choices = TARGET_LANGUAGES
+        .filter((l) => !typed || l.code.toLowerCase().includes(typed) || l.name.toLowerCase().includes(typed))
+        .slice(0, 25)
+        .map((l) => ({ name: `${l.name} (${l.code})`, value: l.code }));
+
+    await interaction.respond(choices);
+}
+
+/**
+ * @brief Formats a tracked account's channel and ping role overrides for display.
+ *
+ * @param {string|null} channelId Channel override
+ * @param {string|null} pingRole Ping role override
+ * @returns {string} Human-readable routing, e.g. "→ #channel, pings @role"
+ */
+function formatRoute(channelId, pingRole) {
+    const channel = channelId ? `<#${channelId}>` : 'news channel';
+    const ping = pingRole ? formatPingRole(pingRole) : 'server ping role';
+    return `→ ${channel}, pings ${ping}`;
+}
+
+/**
+ * @brief /addaccount implementation.
+ *
+ * Adds a Twitter username or Bluesky handle to tracked_account for the Discord server, with
+ * optional channel and ping role overrides. If the account is already tracked, the given
+ * overrides are updated.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction Command interaction
+ */
+async function handleAddAccount(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const raw = interaction.options.getString('username', true);
+    const username = normalizeUsername(raw);
+    const platform = interaction.options.getString('platform') || 'nitter';
+    const channel = interaction.options.getChannel('channel');
+    const role = interaction.options.getRole('role');
+
+    if (platform === 'bluesky' && !isValidBlueskyActor(username)) {
+        await interaction.reply({
+            content: 'Error: That is not a valid Bluesky handle (e.g. `alice.bsky.social`).',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (channel && !channel.isTextBased()) {
+        await interaction.reply({
+            content: 'That channel is not text-based.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const channelId = channel ? channel.id : null;
+    const pingRole = role ? roleToPingRole(interaction, role) : null;
+
+    const existing = getTrackedAccount(guildId, username);
+    if (existing && existing.source_type !== platform) {
+        const what = { feed: 'a tracked feed', bluesky: 'a tracked Bluesky account', nitter: 'a tracked Twitter account' };
+        await interaction.reply({
+            content: `Error: \`${username}\` is already the name of ${what[existing.source_type] || 'another tracked source'}.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const inserted = addTrackedAccount(guildId, username, channelId, pingRole, platform);
+
+    if (!inserted) {
+        if (!channel && !role) {
+            await interaction.reply({
+                content: `Error: That account is already being tracked.`,
+                ephemeral: true,
+            });
+            return;
+        }
+
+        setTrackedAccountRoute(guildId, username, channel ? channelId : undefined, role ? pingRole : undefined);
+
+        await interaction.reply({
+            content: `Updated routing for \`${username}\`.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.reply({
+        content: `Added ${platform === 'bluesky' ? 'Bluesky' : 'Twitter'} account \`${username}\` to the tracked list ${formatRoute(channelId, pingRole)}.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /addfeed implementation.
+ *
+ * Checks that the URL serves a readable RSS/Atom feed, then tracks it under the given name.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleAddFeed(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const name = normalizeUsername(interaction.options.getString('name', true));
+    const url = interaction.options.getString('url', true).trim();
+    const channel = interaction.options.getChannel('channel');
+    const role = interaction.options.getRole('role');
+
+    if (!/^[\w.-]+$/.test(name)) {
+        await interaction.reply({
+            content: 'Error: Feed names may only contain letters, numbers, `_`, `-` and `.`.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch {
+        // handled below
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        await interaction.reply({
+            content: `Error: \`${url}\` is not an http(s) URL.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (channel && !channel.isTextBased()) {
+        await interaction.reply({
+            content: 'That channel is not text-based.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (getTrackedAccount(guildId, name)) {
+        await interaction.reply({
+            content: `Error: \`${name}\` is already being tracked. Pick another name or use /removeaccount first.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    let feed;
+    try {
+        feed = await probeFeed(parsed.href);
+    } catch (err) {
+        log(`[FEED] guild=${guildId} could not read ${parsed.href}: ${err.message || err}`);
+        await interaction.editReply({
+            content: `Error: Could not read a feed from that URL (${err.message || err}).`,
+        });
+        return;
+    }
+
+    const channelId = channel ? channel.id : null;
+    const pingRole = role ? roleToPingRole(interaction, role) : null;
+
+    if (!addTrackedFeed(guildId, name, parsed.href, channelId, pingRole)) {
+        await interaction.editReply({
+            content: `Error: \`${name}\` is already being tracked.`,
+        });
+        return;
+    }
+
+    const title = feed.title ? ` (${feed.title})` : '';
+    await interaction.editReply({
+        content: `Added feed \`${name}\`${title} to the tracked list ${formatRoute(channelId, pingRole)}. ` +
+            'New posts will be delivered as they are published, starting with the feed\'s latest post if no other server tracks it yet.',
+    });
+}
+
+/**
+ * @brief /removeaccount implementation.
+ *
+ * Removes a username from tracked_account for the Discord server.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleRemoveAccount(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const raw = interaction.options.getString('username', true);
+    const username = normalizeUsername(raw);
+
+    const removed = removeTrackedAccount(guildId, username);
+
+    if (!removed) {
+        await interaction.reply({
+            content: 'Error: Account not found in database',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.reply({
+        content: `Removed account \`${username}\` from the tracked list.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /listaccounts implementation.
+ *
+ * Lists all usernames in tracked_account for the Discord server, with where each one posts.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleListAccounts(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const accounts = listTrackedAccountRoutes(guildId);
+
+    if (!accounts || accounts.length === 0) {
+        await interaction.reply({
+            content: 'No tracked accounts found for this server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const lines = accounts
+        .map((a) => {
+            const source = sourceFromRow(a);
+            let feed = '';
+            if (source.type === 'feed') feed = ` <${source.url}>`;
+            if (source.type === 'bluesky') feed = ' (Bluesky)';
+            return `• ${formatSourceName(source)}${feed} ${formatRoute(a.channel_id, a.ping_role)}${a.fast_poll ? ' (fast polling)' : ''}`;
+        })
+        .join('\n');
+
+    await interaction.reply({
+        content: `Tracked accounts and feeds:\n${lines}`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief Formats a filter rule for display.
+ *
+ * @param {{id: number, username: string, mode: string, kind: string, pattern: string, field: string}} rule
+ * @returns {string}
+ */
+function formatFilter(rule) {
+    const field = rule.field === 'any' ? 'original or translated' : rule.field;
+    return `\`#${rule.id}\` @${rule.username} ${rule.mode} ${rule.kind} \`${rule.pattern}\` (${field})`;
+}
+
+/**
+ * @brief /filter add implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleFilterAdd(interaction) {
+    const guildId = interaction.guildId;
+    const username = normalizeUsername(interaction.options.getString('username', true));
+    const mode = interaction.options.getString('mode', true);
+    const kind = interaction.options.getString('type', true);
+    const field = interaction.options.getString('field') || 'original';
+    let pattern = interaction.options.getString('pattern', true).trim();
+
+    const account = getTrackedAccount(guildId, username);
+    if (!account) {
+        await interaction.reply({
+            content: `Error: \`${username}\` is not a tracked account. Add it with /addaccount first.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (kind === 'hashtag') pattern = normalizeHashtag(pattern);
+
+    if (!pattern) {
+        await interaction.reply({
+            content: 'Error: The pattern is empty.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    try {
+        compileFilter(kind, pattern);
+    } catch (err) {
+        await interaction.reply({
+            content: `Error: Invalid regular expression: ${err.message}`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const id = addAccountFilter(guildId, account.username, mode, kind, pattern, field);
+
+    await interaction.reply({
+        content: `Added filter ${formatFilter({ id, username: account.username, mode, kind, pattern, field })}.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /filter remove implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleFilterRemove(interaction) {
+    const id = interaction.options.getInteger('id', true);
+    const removed = removeAccountFilter(interaction.guildId, id);
+
+    if (!removed) {
+        await interaction.reply({
+            content: 'Error: Filter not found in database',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.reply({
+        content: `Removed filter \`#${id}\`.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /filter list implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleFilterList(interaction) {
+    const raw = interaction.options.getString('username');
+    const username = raw ? normalizeUsername(raw) : undefined;
+    const rules = listAccountFilters(interaction.guildId, username);
+
+    if (rules.length === 0) {
+        await interaction.reply({
+            content: 'No filters found for this server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const lines = rules.map((r) => `• ${formatFilter(r)}`).join('\n');
+
+    await interaction.reply({
+        content: `Filters:\n${lines}`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /filter implementation.
+ *
+ * Routes to the add, remove and list subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleFilter(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'add') {
+        await handleFilterAdd(interaction);
+    } else if (sub === 'remove') {
+        await handleFilterRemove(interaction);
+    } else if (sub === 'list') {
+        await handleFilterList(interaction);
+    }
+}
+
+/**
+ * Largest CSV file accepted by /glossary import, in bytes.
+ *
+ * @constant {number} GLOSSARY_IMPORT_MAX_BYTES
+ */
+const GLOSSARY_IMPORT_MAX_BYTES = 1024 * 1024;
+
+/**
+ * @brief Reads the from/to options of a /glossary subcommand.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @returns {{ from: string|null, to: string|null, error: string|null }} Language codes, or an error message
+ */
+function getGlossaryPair(interaction) {
+    const rawFrom = interaction.options.getString('from') || 'ja';
+    const rawTo = interaction.options.getString('to') || glossaryLangOf(getGuildTargetLang(interaction.guildId));
+
+    const from = parseGlossaryLang(rawFrom);
+    const to = parseGlossaryLang(rawTo);
+
+    if (!from) return { from, to, error: `Error: DeepL glossaries do not support \`${rawFrom}\`.` };
+    if (!to) return { from, to, error: `Error: DeepL glossaries do not support \`${rawTo}\`.` };
+    if (from === to) return { from, to, error: 'Error: The source and target languages must differ.' };
+
+    return { from, to, error: null };
+}
+
+/**
+ * @brief Syncs a language pair to DeepL and describes the outcome for a command reply.
+ *
+ * @param {string} guildId
+ * @param {string} from Glossary source language code
+ * @param {string} to Glossary target language code
+ * @returns {Promise<string>}
+ */
+async function syncGlossaryForReply(guildId, from, to) {
+    if (!deeplClient) {
+        return 'DeepL is not configured, so the terms will be used once it is.';
+    }
+
+    try {
+        const glossaryId = await syncGlossary(guildId, from, to);
+        return glossaryId ? 'Synced to DeepL.' : 'DeepL glossary removed (no terms left).';
+    } catch (err) {
+        error(`[GLOSSARY] guild=${guildId} ${from}->${to} sync failed:`, err);
+        return `DeepL sync failed (${err.message || err}); it will be retried before the next translation that needs it.`;
+    }
+}
+
+/**
+ * @brief /glossary add implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleGlossaryAdd(interaction) {
+    const guildId = interaction.guildId;
+    const { from, to, error: pairError } = getGlossaryPair(interaction);
+    const source = normalizeTerm(interaction.options.getString('source', true));
+    const target = normalizeTerm(interaction.options.getString('target', true));
+
+    if (pairError) {
+        await interaction.reply({ content: pairError, ephemeral: true });
+        return;
+    }
+
+    if (!source || !target) {
+        await interaction.reply({
+            content: 'Error: Both the source and the target term must contain text.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (upsertGlossaryTerms(guildId, from, to, [{ source, target }]) === 0) {
+        await interaction.reply({
+            content: `\`${source}\` → \`${target}\` (${from}→${to}) is already in the glossary.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const synced = await syncGlossaryForReply(guildId, from, to);
+
+    log(`[GLOSSARY] guild=${guildId} set ${from}->${to} "${source}" -> "${target}"`);
+    await interaction.editReply({
+        content: `Glossary term saved: \`${source}\` → \`${target}\` (${from}→${to}). ${synced}`,
+    });
+}
+
+/**
+ * @brief /glossary remove implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleGlossaryRemove(interaction) {
+    const guildId = interaction.guildId;
+    const { from, to, error: pairError } = getGlossaryPair(interaction);
+    const source = normalizeTerm(interaction.options.getString('source', true));
+
+    if (pairError) {
+        await interaction.reply({ content: pairError, ephemeral: true });
+        return;
+    }
+
+    if (!removeGlossaryTerm(guildId, from, to, source)) {
+        await interaction.reply({
+            content: `Error: \`${source}\` is not in the ${from}→${to} glossary.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const synced = await syncGlossaryForReply(guildId, from, to);
+
+    log(`[GLOSSARY] guild=${guildId} removed ${from}->${to} "${source}"`);
+    await interaction.editReply({
+        content: `Glossary term removed: \`${source}\` (${from}→${to}). ${synced}`,
+    });
+}
+
+/**
+ * @brief /glossary list implementation.
+ *
+ * Groups terms by language pair. Long lists are cut to fit one message.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleGlossaryList(interaction) {
+    const guildId = interaction.guildId;
+    const from = interaction.options.getString('from');
+    const to = interaction.options.getString('to');
+
+    const terms = listGlossaryTerms(guildId)
+        .filter((t) => (!from || t.source_lang === parseGlossaryLang(from)) && (!to || t.target_lang === parseGlossaryLang(to)));
+
+    if (terms.length === 0) {
+        await interaction.reply({
+            content: 'No glossary terms found for this server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const lines = [];
+    let pair = null;
+    for (const t of terms) {
+        const key = `${t.source_lang}→${t.target_lang}`;
+        if (key !== pair) {
+            pair = key;
+            const synced = getDeeplGlossary(guildId, t.source_lang, t.target_lang);
+            const count = terms.filter((x) => x.source_lang === t.source_lang && x.target_lang === t.target_lang).length;
+            lines.push(`**${languageName(t.source_lang)} → ${languageName(t.target_lang)}** (${count} term(s)${synced ? '' : ', not synced to DeepL'})`);
+        }
+        lines.push(`• ${t.source_term} → ${t.target_term}`);
+    }
+
+    let content = '';
+    let shown = 0;
+    for (const line of lines) {
+        if (content.length + line.length + 40 > 2000) break;
+        content += `${line}\n`;
+        shown++;
+    }
+    if (shown < lines.length) content += `…and ${lines.length - shown} more line(s).`;
+
+    await interaction.reply({
+        content: content.trim(),
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /glossary import implementation.
+ *
+ * Reads a CSV attachment in DeepL's glossary format, stores the terms and syncs every
+ * language pair that changed.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleGlossaryImport(interaction) {
+    const guildId = interaction.guildId;
+    const { from, to, error: pairError } = getGlossaryPair(interaction);
+    const file = interaction.options.getAttachment('file', true);
+
+    if (pairError) {
+        await interaction.reply({ content: pairError, ephemeral: true });
+        return;
+    }
+
+    if (file.size > GLOSSARY_IMPORT_MAX_BYTES) {
+        await interaction.reply({
+            content: `Error: The file is too large (max ${GLOSSARY_IMPORT_MAX_BYTES / 1024} KB).`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    let csv;
+    try {
+        const res = await fetch(file.url, { signal: AbortSignal.timeout(15_000) });
+        if (!res.ok) throw new Error(`Status code ${res.status}`);
+        csv = await res.text();
+    } catch (err) {
+        error(`[GLOSSARY] guild=${guildId} could not download ${file.name}:`, err);
+        await interaction.editReply({ content: `Error: Could not download the file (${err.message || err}).` });
+        return;
+    }
+
+    const { terms, invalid } = parseGlossaryCsv(csv, from, to);
+    if (terms.length === 0) {
+        await interaction.editReply({ content: 'Error: No usable terms found. Each line must be `source,target` or `source,target,source_lang,target_lang`.' });
+        return;
+    }
+
+    /** @type {Map<string, { from: string, to: string, terms: { source: string, target: string }[] }>} */
+    const pairs = new Map();
+    for (const t of terms) {
+        const key = `${t.sourceLang}:${t.targetLang}`;
+        if (!pairs.has(key)) pairs.set(key, { from: t.sourceLang, to: t.targetLang, terms: [] });
+        pairs.get(key).terms.push({ source: t.source, target: t.target });
+    }
+
+    const lines = [];
+    for (const p of pairs.values()) {
+        const changed = upsertGlossaryTerms(guildId, p.from, p.to, p.terms);
+        const synced = changed > 0 ? await syncGlossaryForReply(guildId, p.from, p.to) : 'No changes.';
+        lines.push(`• ${p.from}→${p.to}: ${p.terms.length} term(s) read, ${changed} added or changed. ${synced}`);
+    }
+
+    if (invalid.length > 0) {
+        const shown = invalid.slice(0, 20).join(', ');
+        lines.push(`Skipped ${invalid.length} invalid line(s): ${shown}${invalid.length > 20 ? ', …' : ''}`);
+    }
+
+    log(`[GLOSSARY] guild=${guildId} imported ${terms.length} term(s) from ${file.name}`);
+    await interaction.editReply({ content: `Imported \`${file.name}\`:\n${lines.join('\n')}` });
+}
+
+/**
+ * @brief /glossary implementation.
+ *
+ * Routes to the add, remove, list and import subcommands.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleGlossary(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'add') {
+        await handleGlossaryAdd(interaction);
+    } else if (sub === 'remove') {
+        await handleGlossaryRemove(interaction);
+    } else if (sub === 'list') {
+        await handleGlossaryList(interaction);
+    } else if (sub === 'import') {
+        await handleGlossaryImport(interaction);
+    }
+}
+
+/**
+ * @brief /glossary autocomplete.
+ *
+ * Suggests glossary languages matching the typed code or name.
+ *
+ * @param {import('discord.js').AutocompleteInteraction} interaction Autocomplete interaction
+ */
+async function autocompleteGlossaryLanguage(interaction) {
+    const typed = interaction.options.getFocused().trim().toLowerCase();
+
+    const choices = GLOSSARY_LANGUAGES
+        .map((code) => ({ code, name: languageName(code) }))
+        .filter((l) => !typed || l.code.includes(typed) || l.name.toLowerCase().includes(typed))
+        .slice(0, 25)
+        .map((l) => ({ name: `${l.name} (${l.code})`, value: l.code }));
+
+    await interaction.respond(choices);
+}
+
+/**
+ * @brief Converts a /template text option into the stored value.
+ *
+ * @param {string|null} raw Option value
+ * @returns {string|null|undefined} undefined if not given, null for "default", '' for "none"
+ */
+function toTemplateText(raw) {
+    if (raw === null) return undefined;
+    const value = raw.trim();
+    if (value.toLowerCase() === 'default') return null;
+    if (value.toLowerCase() === 'none') return '';
+    return value;
+}
+
+/**
+ * @brief /template set implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleTemplateSet(interaction) {
+    const guildId = interaction.guildId;
+    const changes = {
+        title: toTemplateText(interaction.options.getString('title')),
+        description: toTemplateText(interaction.options.getString('description')),
+        footer: toTemplateText(interaction.options.getString('footer')),
+        layout: interaction.options.getString('layout') ?? undefined,
+        showOriginal: interaction.options.getBoolean('show_original') ?? undefined,
+        showDisclaimer: interaction.options.getBoolean('show_disclaimer') ?? undefined,
+        showLink: interaction.options.getBoolean('show_link') ?? undefined,
+    };
+
+    const rawColor = interaction.options.getString('color');
+    if (rawColor !== null) {
+        if (rawColor.trim().toLowerCase() === 'default') {
+            changes.color = null;
+        } else {
+            changes.color = parseColor(rawColor);
+            if (changes.color === null) {
+                await interaction.reply({
+                    content: `Error: \`${rawColor}\` is not a hex color (e.g. \`#fc389d\`).`,
+                    ephemeral: true,
+                });
+                return;
+            }
+        }
+    }
+
+    if (Object.values(changes).every((v) => v === undefined)) {
+        await interaction.reply({
+            content: 'Nothing to change. Pick at least one option.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    setGuildTemplate(guildId, changes);
+    log(`[TEMPLATE] guild=${guildId} updated ${Object.keys(changes).filter((k) => changes[k] !== undefined).join(', ')}`);
+
+    await interaction.reply({
+        content: 'Template updated. Use `/template preview` to see how posts will look.',
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /template reset implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleTemplateReset(interaction) {
+    const removed = resetGuildTemplate(interaction.guildId);
+
+    await interaction.reply({
+        content: removed ? 'Template restored to the default.' : 'This server already uses the default template.',
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /template preview implementation.
+ *
+ * Renders a sample post with the server's template and lists the settings and placeholders.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleTemplatePreview(interaction) {
+    const guildId = interaction.guildId;
+    const template = resolveTemplate(getGuildTemplate(guildId));
+    const username = listTrackedAccountRoutes(guildId)[0]?.username || 'shu1aso';
+
+    /** @type {import('./rss').RssTweet} */
+    const sample = {
+        username,
+        id: '0',
+        url: `https://x.com/${username}/status/0`,
+        kind: 'post',
+        author: username,
+        replyTo: null,
+        quotedAuthor: null,
+        quotedUrl: null,
+        media: [],
+        originalText: '今日も一日お疲れ様でした！',
+        translatedText: 'Thank you for your hard work today!',
+        targetLang: getGuildTargetLang(guildId),
+        translationProvider: 'deepl',
+        sourceLang: 'ja',
+        publishedAt: new Date(),
+    };
+
+    const message = buildTweetMessage(template, sample);
+
+    const settings = [
+        `Color: \`${formatColor(template.color)}\``,
+        `Title: \`${template.title || '(none)'}\``,
+        `Description: \`${template.description || '(none)'}\``,
+        `Footer: \`${template.footer || '(none)'}\``,
+        `Layout: \`${template.layout}\``,
+        `Original text: ${template.showOriginal ? 'shown' : 'hidden'} · Disclaimer: ${template.showDisclaimer ? 'shown' : 'hidden'} · Link: ${template.showLink ? 'shown' : 'hidden'}`,
+    ];
+    const placeholders = Object.entries(TEMPLATE_PLACEHOLDERS)
+        .map(([name, desc]) => `\`{${name}}\` ${desc}`);
+
+    const content = [
+        '**Template preview** (sample post)',
+        ...settings,
+        `Placeholders: ${placeholders.join(' · ')}`,
+        message.content || '',
+    ].filter(Boolean).join('\n');
+
+    await interaction.reply({
+        content: content.length > 2000 ? `${content.slice(0, 1997)}...` : content,
+        embeds: message.embeds,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /template implementation.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleTemplate(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'set') {
+        await handleTemplateSet(interaction);
+    } else if (sub === 'reset') {
+        await handleTemplateReset(interaction);
+    } else if (sub === 'preview') {
+        await handleTemplatePreview(interaction);
+    }
+}
+
+/**
+ * @brief /posttypes implementation.
+ *
+ * Updates the retweet/reply/quote toggles for the server, or for one tracked account.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handlePostTypes(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const raw = interaction.options.getString('username');
+    const username = raw ? normalizeUsername(raw) : null;
+
+    if (username && !getTrackedAccount(guildId, username)) {
+        await interaction.reply({
+            content: `Error: \`${username}\` is not a tracked account.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const toSetting = (value) => {
+        if (value === 'on') return true;
+        if (value === 'off') return false;
+        if (value === 'default') return username ? null : true;
+        return undefined;
+    };
+
+    const kinds = {
+        retweet: toSetting(interaction.options.getString('retweets')),
+        reply: toSetting(interaction.options.getString('replies')),
+        quote: toSetting(interaction.options.getString('quotes')),
+    };
+
+    if (username) {
+        setTrackedAccountPostKinds(guildId, username, kinds);
+    } else {
+        setGuildPostKinds(guildId, kinds);
+    }
+
+    const state = (kind) => (isPostKindEnabled(guildId, username || '', kind) ? 'posted' : 'skipped');
+    const scope = username ? `\`${username}\`` : 'this server';
+
+    await interaction.reply({
+        content:
+            `Post types for ${scope}:\n` +
+            `• Retweets: ${state('retweet')}\n` +
+            `• Replies: ${state('reply')}\n` +
+            `• Quote tweets: ${state('quote')}`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /pollspeed implementation.
+ *
+ * Updates fast_poll for a tracked account.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handlePollSpeed(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const username = normalizeUsername(interaction.options.getString('username', true));
+    const fast = interaction.options.getString('speed', true) === 'fast';
+
+    const updated = setTrackedAccountFastPoll(guildId, username, fast);
+
+    if (!updated) {
+        await interaction.reply({
+            content: 'Error: Account not found in database',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (fast) pollSoon(sourceFromRow(getTrackedAccount(guildId, username)).key);
+
+    await interaction.reply({
+        content: fast
+            ? `\`${username}\` is now polled at the fastest interval.`
+            : `\`${username}\` is now polled less often while it is quiet.`,
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief /deliverymode implementation.
+ *
+ * Switches the server between bot messages and webhook posts under the tracked account's identity.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleDeliveryMode(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const mode = interaction.options.getString('mode', true);
+
+    if (!setGuildDeliveryMode(guildId, mode)) {
+        await interaction.reply({
+            content: 'Error: This server has not been set up yet. Run `/setup` first.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.reply({
+        content: mode === 'webhook'
+            ? 'Posts will now appear under the tracked account\'s name and avatar. ' +
+              'The bot needs the Manage Webhooks permission in each news channel; without it, posts are sent as the bot.'
+            : 'Posts will now be sent as the bot.',
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief Checks whether the bot can post news in a channel.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {string} channelId
+ * @param {boolean} [needsWebhooks=false] Webhook delivery mode is on
+ * @returns {Promise<string>} "OK" or a description of what is missing
+ */
+async function checkChannelPermissions(guild, channelId, needsWebhooks = false) {
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel) return 'channel not found';
+    if (!channel.isTextBased()) return 'not a text channel';
+
+    const me = guild.members.me;
+    const perms = me ? channel.permissionsFor(me) : null;
+    if (!perms) return 'cannot read permissions';
+
+    const required = {
+        ViewChannel: PermissionFlagsBits.ViewChannel,
+        SendMessages: PermissionFlagsBits.SendMessages,
+        EmbedLinks: PermissionFlagsBits.EmbedLinks,
+        ReadMessageHistory: PermissionFlagsBits.ReadMessageHistory,
+        ...(needsWebhooks ? { ManageWebhooks: PermissionFlagsBits.ManageWebhooks } : {}),
+    };
+    const missing = Object.entries(required)
+        .filter(([, flag]) => !perms.has(flag))
+        .map(([name]) => name);
+
+    return missing.length === 0 ? 'OK' : `missing ${missing.join(', ')}`;
+}
+
+/**
+ * @brief Formats DeepL character usage for display.
+ *
+ * @returns {Promise<string>}
+ */
+async function describeDeeplUsage() {
+    if (!deeplClient) return 'Not configured';
+
+    try {
+        const usage = await deeplClient.getUsage();
+        const chars = usage.character;
+        if (!chars) return 'No character limit reported';
+
+        const pct = chars.limit ? ((chars.count / chars.limit) * 100).toFixed(1) : '0';
+        const note = chars.limitReached() ? ' (**limit reached**)' : '';
+        return `${chars.count.toLocaleString('en-US')} / ${chars.limit.toLocaleString('en-US')} characters (${pct}%)${note}`;
+    } catch (err) {
+        error('[DEEPL] getUsage failed:', err);
+        return `Usage check failed: ${err.message || err}`;
+    }
+}
+
+/**
+ * @brief Describes the bot's DeepL character budget and this server's share of it.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {string}
+ */
+function describeTranslationBudget(guildId) {
+    const status = getBudgetStatus();
+    const fmt = (n) => n.toLocaleString('en-US');
+
+    const guildUsed = listDeeplUsageByAccount(status.period, guildId)
+        .reduce((sum, r) => sum + r.characters, 0);
+
+    const total = status.budget > 0
+        ? `${fmt(status.used)} / ${fmt(status.budget)} characters (${((status.used / status.budget) * 100).toFixed(1)}%)`
+        : `${fmt(status.used)} characters (no budget set)`;
+
+    return [
+        `${total}${status.exhausted ? ' (**exhausted**)' : ''}`,
+        `This server: ${fmt(guildUsed)} characters`,
+        `Resets <t:${Math.floor(status.resetsAt.getTime() / 1000)}:R>`,
+    ].join('\n');
+}
+
+/**
+ * @brief /status implementation.
+ *
+ * Shows the last successful poll, each tracked account's last fetch, the Nitter instances,
+ * the news channel permission check, DeepL usage and the monthly translation budget.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleStatus(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const guildId = interaction.guildId;
+    const guild = interaction.guild || await interaction.client.guilds.fetch(guildId);
+    const poll = getPollStatus();
+
+    const accountLines = listTrackedAccountRoutes(guildId).map((a) => {
+        const source = sourceFromRow(a);
+        const st = poll.accounts.get(source.key);
+        const sched = getAccountSchedule(source.key);
+        const lastId = getFeedCursor(source.key) || 'none';
+        const label = formatSourceName(source);
+
+        if (!st) return `• ${label}: not fetched yet · last seen \`${lastId}\``;
+
+        const result = st.lastResult === 'error'
+            ? `error (${st.lastError})`
+            : (st.lastResult === 'new' ? 'new posts' : 'no change');
+
+        return `• ${label}: ${result} ${formatRelativeTime(st.lastFetchAt)} · ` +
+            `last seen \`${lastId}\` · failures ${st.consecutiveFailures} · ` +
+            `next poll ${formatRelativeTime(sched.nextPollAt)}`;
+    });
+
+    const instanceLines = getNitterHealth().map((h) => {
+        const state = h.cooldownUntil > Date.now()
+            ? `down until ${formatRelativeTime(h.cooldownUntil)} (${h.lastError})`
+            : 'up';
+        return `• ${h.base}: ${state} · last success ${formatRelativeTime(h.lastSuccessAt)}`;
+    });
+
+    const channelLines = [];
+    const newsChannelId = getGuildNewsChannel(guildId);
+    const needsWebhooks = getGuildDeliveryMode(guildId) === 'webhook';
+    if (newsChannelId) {
+        channelLines.push(`• <#${newsChannelId}> (news): ${await checkChannelPermissions(guild, newsChannelId, needsWebhooks)}`);
+    } else {
+        channelLines.push('• No news channel configured. Use /setup.');
+    }
+
+    const overrideIds = new Set(listTrackedAccountRoutes(guildId).map((a) => a.channel_id).filter(Boolean));
+    overrideIds.delete(newsChannelId);
+    for (const channelId of overrideIds) {
+        channelLines.push(`• <#${channelId}>: ${await checkChannelPermissions(guild, channelId, needsWebhooks)}`);
+    }
+
+    const embed = {
+        color: 0xfc389d, // Kusuo's hair color :)
+        title: 'Ψ Asoubot Status Ψ',
+        fields: [
+            {
+                name: 'Last Successful Poll',
+                value: formatRelativeTime(poll.lastTickAt),
+            },
+            {
+                name: 'Tracked Accounts',
+                value: toFieldValue(accountLines),
+            },
+            {
+                name: 'Nitter Instances',
+                value: toFieldValue(instanceLines),
+            },
+            {
+                name: 'Channel Permissions',
+                value: toFieldValue(channelLines),
+            },
+            {
+                name: 'DeepL Usage',
+                value: await describeDeeplUsage(),
+            },
+            {
+                name: 'Translation Budget',
+                value: describeTranslationBudget(guildId),
+            },
+        ],
+    };
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * @brief /info implementation.
+ *
+ * Sends information about the bot.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleInfo(interaction) {
+    const embed = {
+        color: 0xfc389d, // Kusuo's hair color :)
+        title: 'Ψ Asoubot Ψ',
+        description:
+            'Tracks Twitter/X accounts and automatically translates posts for your Discord server. Tracks Asou Shuuichi by default.',
+        fields: [
+            {
+                name: 'Commands',
+                value:
+                    '`/setup` - Set news channel & ping role\n' +
+                    '`/setchannel` - Change news channel\n' +
+                    '`/setpingrole` - Change ping role\n' +
+                    '`/setadminchannel` - Set the channel for bot alerts and translation reports\n' +
+                    '`/settranslatorrole` - Set who may correct translations\n' +
+                    '`/setlanguage` - Change translation language\n' +
+                    '`/addaccount` - Add a tracked Twitter or Bluesky account\n' +
+                    '`/addfeed` - Add a tracked RSS/Atom feed\n' +
+                    '`/removeaccount` - Remove a tracked account\n' +
+                    '`/listaccounts` - View all tracked accounts\n' +
+                    '`/filter` - Manage keyword/hashtag/regex filters\n' +
+                    '`/glossary` - Manage DeepL glossary terms\n' +
+                    '`/posttypes` - Toggle retweets, replies and quotes\n' +
+                    '`/pollspeed` - Pin an account to fast polling\n' +
+                    '`/template` - Customize how posts look\n' +
+                    '`/deliverymode` - Post as the bot or as the tracked account\n' +
+                    '`/corrections` - View recent translation corrections\n' +
+                    '`Correct translation` - Fix a posted translation (right-click a post → Apps)\n' +
+                    '`/status` - View polling health and translation quota\n' +
+                    '`/info` - View bot info',
+            },
+            {
+                name: 'Support',
+                value: '[Report issues on GitHub](https://github.com/Arcane-Mirage/asoubot/issues)',
+            },
+        ],
+        footer: {
+            text: `Ψ Developed by Arcana | Version ${version} Ψ`,
+        },
+    };
+
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief Whether the member behind an interaction may change posts for everyone.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @returns {boolean}
+ */
+function canManagePosts(interaction) {
+    return !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages);
+}
+
+/**
+ * @brief "Original only" / "Show translation" button implementation.
+ *
+ * Switches the post between showing its translation and showing only the original text.
+ * The post is shared by everyone in the channel, so only members with Manage Messages
+ * switch it; anyone else gets the other view as a message only they can see.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {NonNullable<ReturnType<typeof loadPost>>} post
+ */
+async function handlePostToggle(interaction, post) {
+    const view = post.record.view === 'original' ? 'translated' : 'original';
+
+    if (!canManagePosts(interaction)) {
+        const [first, ...rest] = renderPost(post.record.guild_id, post.tweet, view);
+        await interaction.reply({ ...first, ephemeral: true });
+        for (const message of rest) {
+            await interaction.followUp({ ...message, ephemeral: true });
+        }
+        return;
+    }
+
+    await interaction.deferUpdate();
+    try {
+        await showPost(interaction.client, post.record, post.tweet, view);
+    } catch (err) {
+        error(`[POST] could not edit message=${post.record.message_id}:`, err);
+        await interaction.followUp({
+            content: `Could not edit the post: ${err?.message || err}`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    log(`[POST] message=${post.record.message_id} switched to ${view} by user=${interaction.user.id}`);
+}
+
+/**
+ * @brief "Retranslate" button implementation.
+ *
+ * Asks which provider (or DeepL tone) to retranslate with. Requires Manage Messages, since
+ * retranslating uses translation quota.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {NonNullable<ReturnType<typeof loadPost>>} post
+ */
+async function handlePostRetranslate(interaction, post) {
+    if (!canManagePosts(interaction)) {
+        await interaction.reply({
+            content: 'You need the Manage Messages permission to retranslate posts.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const choices = retranslateChoices(post.tweet);
+    if (choices.length === 0) {
+        await interaction.reply({
+            content: 'No other translation provider is configured.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.reply({
+        content: 'Retranslate this post with:',
+        components: [{
+            type: ComponentType.ActionRow,
+            components: [{
+                type: ComponentType.StringSelect,
+                custom_id: `${RETRANSLATE_MENU}:${post.record.message_id}`,
+                placeholder: 'Choose a translation provider',
+                options: choices,
+            }],
+        }],
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief Retranslate provider menu implementation.
+ *
+ * Translates the post with the chosen provider and edits it in place.
+ *
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction
+ */
+async function handleRetranslateMenu(interaction) {
+    const messageId = interaction.customId.slice(RETRANSLATE_MENU.length + 1);
+    const found = loadPost(messageId);
+    const post = found?.record.guild_id === interaction.guildId ? found : null;
+
+    if (!post || !canManagePosts(interaction)) {
+        await interaction.update({
+            content: post ? 'You need the Manage Messages permission to retranslate posts.' : 'This post is too old to change.',
+            components: [],
+        });
+        return;
+    }
+
+    const choice = interaction.values[0];
+    await interaction.update({ content: 'Retranslating...', components: [] });
+
+    const tweet = await retranslatePost(post.record, post.tweet, choice);
+    if (!tweet) {
+        await interaction.editReply('No translation came back. The post may already be in the server language, or the translation budget may be used up.');
+        return;
+    }
+
+    try {
+        await showPost(interaction.client, post.record, tweet, 'translated');
+    } catch (err) {
+        error(`[POST] could not edit message=${messageId}:`, err);
+        await interaction.editReply(`Could not edit the post: ${err?.message || err}`);
+        return;
+    }
+
+    await interaction.editReply('Post retranslated.');
+}
+
+/**
+ * @brief "Report translation" button implementation.
+ *
+ * Opens a form for a better wording, sent to the server's admin channel.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {NonNullable<ReturnType<typeof loadPost>>} post
+ */
+async function handlePostReport(interaction, post) {
+    if (!getGuildConfig(post.record.guild_id)?.admin_channel_id) {
+        await interaction.reply({
+            content: 'Translation reports are not set up on this server. Ask an admin to run `/setadminchannel`.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.showModal({
+        custom_id: `${REPORT_MODAL}:${post.record.message_id}`,
+        title: 'Report translation',
+        components: [
+            {
+                type: ComponentType.ActionRow,
+                components: [{
+                    type: ComponentType.TextInput,
+                    custom_id: 'suggestion',
+                    label: 'Better translation',
+                    style: TextInputStyle.Paragraph,
+                    max_length: 1000,
+                    required: true,
+                }],
+            },
+            {
+                type: ComponentType.ActionRow,
+                components: [{
+                    type: ComponentType.TextInput,
+                    custom_id: 'note',
+                    label: 'What is wrong? (optional)',
+                    style: TextInputStyle.Short,
+                    max_length: 200,
+                    required: false,
+                }],
+            },
+        ],
+    });
+}
+
+/**
+ * @brief Translation report form implementation.
+ *
+ * Posts the suggested wording to the server's admin channel for moderators to review.
+ *
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+async function handleReportModal(interaction) {
+    const messageId = interaction.customId.slice(REPORT_MODAL.length + 1);
+    const post = loadPost(messageId);
+
+    if (!post || post.record.guild_id !== interaction.guildId) {
+        await interaction.reply({
+            content: 'This post is too old to report.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const { record, tweet } = post;
+    const adminChannelId = getGuildConfig(record.guild_id)?.admin_channel_id;
+    const channel = adminChannelId ? await interaction.client.channels.fetch(adminChannelId).catch(() => null) : null;
+
+    if (!channel || !channel.isTextBased()) {
+        await interaction.reply({
+            content: 'Translation reports are not set up on this server. Ask an admin to run `/setadminchannel`.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const suggestion = interaction.fields.getTextInputValue('suggestion').trim();
+    const note = interaction.fields.getTextInputValue('note').trim();
+    const postLink = `https://discord.com/channels/${record.guild_id}/${record.channel_id}/${record.message_id}`;
+
+    const fields = [
+        { name: 'Post', value: `${postLink}\n${tweet.url}` },
+        { name: 'Reported by', value: `${interaction.user} (${interaction.user.tag})` },
+        { name: 'Current translation', value: toFieldValue([tweet.translatedText || '(empty)']) },
+        { name: 'Suggested translation', value: toFieldValue([suggestion]) },
+    ];
+    if (note) fields.push({ name: 'Note', value: toFieldValue([note]) });
+
+    const embed = {
+        color: 0xfc389d, // Kusuo's hair color :)
+        title: `Translation report: ${formatSourceName({ type: tweet.sourceType, name: tweet.username })}`,
+        fields,
+    };
+
+    try {
+        await channel.send({ embeds: [embed] });
+    } catch (err) {
+        error(`[POST] could not send translation report to channel=${adminChannelId}:`, err);
+        await interaction.reply({
+            content: 'Could not deliver the report. Please tell a moderator directly.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    log(`[POST] translation report for message=${messageId} by user=${interaction.user.id}`);
+
+    await interaction.reply({
+        content: 'Thanks! Your suggestion was sent to the moderators.',
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief Routes a click on one of the buttons under a post.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handlePostButton(interaction) {
+    const post = loadPost(interaction.message.id);
+    if (!post) {
+        await interaction.reply({
+            content: 'This post is too old to change.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    if (interaction.customId === POST_BUTTON_TOGGLE) {
+        await handlePostToggle(interaction, post);
+    } else if (interaction.customId === POST_BUTTON_RETRANSLATE) {
+        await handlePostRetranslate(interaction, post);
+    } else if (interaction.customId === POST_BUTTON_REPORT) {
+        await handlePostReport(interaction, post);
+    }
+}
+
+/**
+ * @brief Why the member behind an interaction may not correct translations, if they may not.
+ *
+ * Members with the server's translator role may correct translations, and so may members
+ * with Manage Server.
+ *
+ * @param {import('discord.js').Interaction} interaction
+ * @returns {string|null} Reason to show, or null if they may
+ */
+function translatorDenial(interaction) {
+    if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return null;
+
+    const roleId = getGuildConfig(interaction.guildId)?.translator_role_id;
+    if (!roleId) return 'No translator role is set. Ask an admin to run `/settranslatorrole`.';
+
+    const roles = interaction.member?.roles;
+    const hasRole = Array.isArray(roles) ? roles.includes(roleId) : !!roles?.cache?.has(roleId);
+    return hasRole ? null : `Only members with <@&${roleId}> can correct translations.`;
+}
+
+/**
+ * @brief "Correct translation" message command implementation.
+ *
+ * Opens a form pre-filled with the post's current translation, one field per thread part.
+ *
+ * @param {import('discord.js').MessageContextMenuCommandInteraction} interaction
+ */
+async function handleCorrect(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const denial = translatorDenial(interaction);
+    if (denial) {
+        await interaction.reply({ content: denial, ephemeral: true });
+        return;
+    }
+
+    const post = loadPost(interaction.targetId);
+    if (!post || post.record.guild_id !== interaction.guildId) {
+        await interaction.reply({
+            content: 'Only news posts sent by the bot can be corrected (and very old ones are forgotten).',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const texts = correctableTexts(post.tweet);
+    if (texts.length > CORRECT_MAX_PARTS) {
+        await interaction.reply({
+            content: `Threads of more than ${CORRECT_MAX_PARTS} posts cannot be corrected.`,
+            ephemeral: true,
+        });
+        return;
+    }
+
+    await interaction.showModal({
+        custom_id: `${CORRECT_MODAL}:${post.record.message_id}`,
+        title: 'Correct translation',
+        components: texts.map((text, i) => ({
+            type: ComponentType.ActionRow,
+            components: [{
+                type: ComponentType.TextInput,
+                custom_id: `part-${i}`,
+                label: texts.length > 1 ? `Translation of post ${i + 1} of ${texts.length}` : 'Translation',
+                style: TextInputStyle.Paragraph,
+                value: text.slice(0, 4000),
+                max_length: 4000,
+                required: texts.length === 1,
+            }],
+        })),
+    });
+}
+
+/**
+ * @brief Translation correction form implementation.
+ *
+ * Saves the corrected wording with the editor's ID and edits the post to show it, crediting
+ * the editor in place of the translation provider.
+ *
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+async function handleCorrectModal(interaction) {
+    const denial = translatorDenial(interaction);
+    if (denial) {
+        await interaction.reply({ content: denial, ephemeral: true });
+        return;
+    }
+
+    const messageId = interaction.customId.slice(CORRECT_MODAL.length + 1);
+    const post = loadPost(messageId);
+    if (!post || post.record.guild_id !== interaction.guildId) {
+        await interaction.reply({
+            content: 'This post is too old to correct.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const { record, tweet } = post;
+    const previous = correctableTexts(tweet);
+    const texts = previous.map((_, i) => interaction.fields.getTextInputValue(`part-${i}`).trim());
+
+    // Parts left empty keep their translation (see applyCorrection)
+    if (texts.every((t, i) => !t || t === previous[i].trim())) {
+        await interaction.reply({
+            content: 'Nothing changed.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const editorName = interaction.member?.displayName || interaction.member?.nick || interaction.user.globalName || interaction.user.username;
+    const corrected = applyCorrection(tweet, texts, editorName);
+
+    addTranslationCorrection(
+        record.guild_id,
+        record.channel_id,
+        record.message_id,
+        tweet.id,
+        tweet.username,
+        interaction.user.id,
+        tweet.translatedText || '',
+        corrected.translatedText
+    );
+    log(`[POST] message=${record.message_id} translation corrected by user=${interaction.user.id}`);
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        await showPost(interaction.client, record, corrected, 'translated');
+    } catch (err) {
+        error(`[POST] could not edit message=${record.message_id}:`, err);
+        await interaction.editReply(`Correction saved, but the post could not be edited: ${err?.message || err}`);
+        return;
+    }
+
+    await interaction.editReply('Translation corrected. Thanks!');
+}
+
+/**
+ * @brief /corrections implementation.
+ *
+ * Lists the server's most recent translation corrections, grouped by account.
+ *
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ */
+async function handleCorrections(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({
+            content: 'This command can only be used in a server.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const guildId = interaction.guildId;
+    const rawAccount = interaction.options.getString('account');
+    const account = rawAccount ? normalizeUsername(rawAccount) : '';
+    const rows = listTranslationCorrections(guildId, account || undefined);
+
+    if (rows.length === 0) {
+        await interaction.reply({
+            content: account ? `No translation corrections for @${account} yet.` : 'No translation corrections yet.',
+            ephemeral: true,
+        });
+        return;
+    }
+
+    /** @type {Map<string, string[]>} */
+    const byAccount = new Map();
+    for (const row of rows) {
+        if (!byAccount.has(row.username)) byAccount.set(row.username, []);
+
+        const lines = byAccount.get(row.username);
+        if (lines.length >= 5) continue;
+
+        const link = `https://discord.com/channels/${guildId}/${row.channel_id}/${row.message_id}`;
+        const snippet = row.corrected_text.replace(/\s+/g, ' ');
+        const text = snippet.length > 80 ? `${snippet.slice(0, 79)}…` : snippet;
+        lines.push(`<t:${Math.floor(row.created_at / 1000)}:R> <@${row.editor_id}> [post](${link}): ${text}`);
+    }
+
+    const fields = [...byAccount].slice(0, 25).map(([username, lines]) => {
+        const tracked = getTrackedAccount(guildId, username);
+        const name = tracked ? formatSourceName(sourceFromRow(tracked)) : `@${username}`;
+        return { name, value: toFieldValue(lines) };
+    });
+
+    await interaction.reply({
+        embeds: [{
+            color: 0xfc389d, // Kusuo's hair color :)
+            title: 'Recent translation corrections',
+            fields,
+        }],
+        ephemeral: true,
+    });
+}
+
+/**
+ * @brief Handles incoming interactions and routes commands.
+ *
+ * @param {import('discord.js').Interaction} interaction Discord interaction
+ */
+async function handleInteraction(interaction) {
+    if (interaction.isAutocomplete()) {
+        if (interaction.commandName === 'setlanguage') {
+            await autocompleteSetLanguage(interaction);
+        } else if (interaction.commandName === 'glossary') {
+            await autocompleteGlossaryLanguage(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isButton()) {
+        if (interaction.customId.startsWith('post:')) await handlePostButton(interaction);
+        return;
+    }
+
+    if (interaction.isStringSelectMenu()) {
+        if (interaction.customId.startsWith(`${RETRANSLATE_MENU}:`)) await handleRetranslateMenu(interaction);
+        return;
+    }
+
+    if (interaction.isModalSubmit()) {
+        if (interaction.customId.startsWith(`${REPORT_MODAL}:`)) {
+            await handleReportModal(interaction);
+        } else if (interaction.customId.startsWith(`${CORRECT_MODAL}:`)) {
+            await handleCorrectModal(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isMessageContextMenuCommand()) {
+        if (interaction.commandName === 'Correct translation') await handleCorrect(interaction);
+        return;
+    }
+
+    if (!interaction.isChatInputCommand()) return;
+
+    if (interaction.commandName === 'setup') {
+        await handleSetup(interaction);
+    } else if (interaction.commandName === 'setchannel') {
+        await handleSetChannel(interaction);
+    } else if (interaction.commandName === 'setadminchannel') {
+        await handleSetAdminChannel(interaction);
+    } else if (interaction.commandName === 'setpingrole') {
+        await handleSetPingRole(interaction);
+    } else if (interaction.commandName === 'settranslatorrole') {
+        await handleSetTranslatorRole(interaction);
+    } else if (interaction.commandName === 'setlanguage') {
+        await handleSetLanguage(interaction);
+    } else if (interaction.commandName === 'addaccount') {
+        await handleAddAccount(interaction);
+    } else if (interaction.commandName === 'addfeed') {
+        await handleAddFeed(interaction);
+    } else if (interaction.commandName === 'removeaccount') {
+        await handleRemoveAccount(interaction);
+    } else if (interaction.commandName === 'listaccounts') {
+        await handleListAccounts(interaction);
+    } else if (interaction.commandName === 'filter') {
+        await handleFilter(interaction);
+    } else if (interaction.commandName === 'glossary') {
+        await handleGlossary(interaction);
+    } else if (interaction.commandName === 'posttypes') {
+        await handlePostTypes(interaction);
+    } else if (interaction.commandName === 'pollspeed') {
+        await handlePollSpeed(interaction);
+    } else if (interaction.commandName === 'deliverymode') {
+        await handleDeliveryMode(interaction);
+    } else if (interaction.commandName === 'template') {
+        await handleTemplate(interaction);
+    } else if (interaction.commandName === 'corrections') {
+        await handleCorrections(interaction);
+    } else if (interaction.commandName === 'status') {
+        await handleStatus(interaction);
+    } else if (interaction.commandName === 'info') {
+        await handleInfo(interaction);
+    }
+}
+
+/**
+ * @brief Registers slash commands for the bot.
+ *
+ * @param {import('discord.js').Client} client Discord client
+ */
+async function registerCommands(client) {
+    const cmdJSON = [
+        setupCommand.toJSON(),
+        setChannelCommand.toJSON(),
+        setPingRoleCommand.toJSON(),
+        setAdminChannelCommand.toJSON(),
+        setTranslatorRoleCommand.toJSON(),
+        setLanguageCommand.toJSON(),
+        addAccountCommand.toJSON(),
+        addFeedCommand.toJSON(),
+        removeAccountCommand.toJSON(),
+        listAccountsCommand.toJSON(),
+        filterCommand.toJSON(),
+        glossaryCommand.toJSON(),
+        postTypesCommand.toJSON(),
+        pollSpeedCommand.toJSON(),
+        templateCommand.toJSON(),
+        deliveryModeCommand.toJSON(),
+        correctionsCommand.toJSON(),
+        correctCommand.toJSON(),
+        statusCommand.toJSON(),
+        infoCommand.toJSON(),
+    ];
+
+    const guilds = await client.guilds.fetch();
+    for (const [, guildRef] of guilds) {
+        const guild = await guildRef.fetch();
+        await guild.commands.set(cmdJSON);
+    }
+}
+
+module.exports = {
+    registerCommands,
+    handleInteraction,
+};
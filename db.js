@@ -1,192 +1,1141 @@
-/**
- * @file db.js
- * 
- * @brief Executes all SQL queries.
- */
-
-const Database = require('better-sqlite3');
-const fs = require('fs');
-const path = require('path');
-const { log, error } = require('./logger');
-
-// Ensure data folder exists
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir);
-}
-
-// Create/open database
-const db = new Database(path.join(dataDir, 'asoubot.db'));
-
-db.pragma('foreign_keys = ON');
-
-// Create tables if they don't exist
-db.exec(`
-    CREATE TABLE IF NOT EXISTS guild_config (
-        guild_id TEXT PRIMARY KEY,
-        post_channel_id TEXT NOT NULL,
-        ping_role TEXT NOT NULL DEFAULT 'everyone'
-    );
-
-    CREATE TABLE IF NOT EXISTS tracked_account (
-        guild_id TEXT NOT NULL,
-        username TEXT NOT NULL,
-        PRIMARY KEY (guild_id, username),
-        FOREIGN KEY (guild_id)
-            REFERENCES guild_config(guild_id)
-            ON DELETE CASCADE
-    );
-`);
-
-log("Database initialized.");
-
-/**
- * @brief Inserts or updates the news channel configuration for a Discord server.
- *
- * @param guildId    Discord server ID
- * @param channelId  Discord channel ID
- * 
- * @throws {Error} SQL execution fail
- */
-function setGuildNewsChannel(guildId, channelId) {
-    const stmt = db.prepare(`
-        INSERT INTO guild_config (guild_id, post_channel_id)
-        VALUES (?, ?)
-        ON CONFLICT(guild_id) DO UPDATE SET
-            post_channel_id = excluded.post_channel_id
-    `);
-    stmt.run(guildId, channelId);
-}
-
-/**
- * @brief Inserts or updates the ping role configuration for a Discord server.
- * 
- * @param guildId   Discord server ID
- * @param pingRole  "everyone" or Discord role ID
- * 
- * @throws {Error} SQL execution fail
- */
-function setGuildPingRole(guildId, pingRole) {
-    const stmt = db.prepare(`
-        INSERT INTO guild_config (guild_id, post_channel_id, ping_role)
-        VALUES (?, '', ?)
-        ON CONFLICT(guild_id) DO UPDATE SET
-            ping_role = excluded.ping_role
-    `);
-    stmt.run(guildId, pingRole);
-}
-
-/**
- * @brief Adds a tracked Twitter account for a Discord server.
- *
- * If the (guildId, username) pair already exists, the operation is ignored.
- *
- * @param guildId    Discord server ID
- * @param channelId  Discord channel ID
- *
- * @returns {boolean} True if a change occured
- * 
- * @throws {Error} SQL execution fail
- */
-function addTrackedAccount(guildId, username) {
-    const stmt = db.prepare(`
-        INSERT OR IGNORE INTO tracked_account (guild_id, username)
-        VALUES (?, ?)
-    `);
-    const info = stmt.run(guildId, username);
-    return info.changes > 0; // true if inserted
-}
-
-/**
- * @brief Removes a tracked account username for a Discord server.
- *
- * @param guildId   Discord server ID
- * @param username  Twitter Username
- *
- * @returns {boolean} True if a row was removed, false if not found
- */
-function removeTrackedAccount(guildId, username) {
-    const stmt = db.prepare(`
-        DELETE FROM tracked_account
-        WHERE guild_id = ? AND username = ?
-    `);
-    const info = stmt.run(guildId, username);
-    return info.changes > 0;
-}
-
-/**
- * @brief Lists tracked account usernames for a Discord server.
- *
- * @param guildId   Discord server ID
- *
- * @returns {string[]} Array of usernames for this guild
- */
-function listTrackedAccounts(guildId) {
-    const stmt = db.prepare(`
-        SELECT username FROM tracked_account
-        WHERE guild_id = ?
-        ORDER BY username COLLATE NOCASE
-    `);
-    return stmt.all(guildId).map((row) => row.username);
-}
-
-/**
- * @brief Retrieves the stored config row for a Discord server.
- *
- * @param {string} guildId Discord server ID
- * 
- * @returns {{guild_id: string, post_channel_id: string}} Config row
- * @retval undefine Does not exist in database
- */
-function getGuildConfig(guildId) {
-    const stmt = db.prepare(`SELECT * FROM guild_config WHERE guild_id = ?`);
-    return stmt.get(guildId);
-}
-
-/**
- * @brief Retrieves the configured news post channel ID for a Discord server.
- *
- * @param {string} guildId Discord server ID
- * @returns {string|undefined} Stored post_channel_id, or undefined if not configured
- */
-function getGuildNewsChannel(guildId) {
-    const row = getGuildConfig(guildId);
-    return row ? row.post_channel_id : undefined;
-}
-
-/**
- * @brief Retrieves the configured ping role for a Discord server.
- *
- * @param {string} guildId Discord server ID
- * @returns {string|undefined} Stored ping_role ("everyone" or role ID), or undefined if not configured
- */
-function getGuildPingRole(guildId) {
-    const row = getGuildConfig(guildId);
-    return row ? row.ping_role : undefined;
-}
-
-/**
- * @brief Delete all stored data for a guild.
- * 
- * @param {string} guildId
- */
-function deleteGuildData(guildId) {
-    let total = 0;
-
-    total += db.prepare('DELETE FROM guild_config WHERE guild_id = ?').run(guildId).changes;
-
-    return total;
-}
-
-module.exports = {
-    db,
-    setGuildNewsChannel,
-    setGuildPingRole,
-    addTrackedAccount,
-    removeTrackedAccount,
-    listTrackedAccounts,
-    getGuildConfig,
-    getGuildNewsChannel,
-    getGuildPingRole,
-    deleteGuildData,
-};
+/**
+ * @file db.js
+ * 
+ * @brief Executes all SQL queries.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { log, error } = require('./logger');
+const { DEFAULT_TARGET_LANG } = require('./languages');
+const { runMigrations } = require('./migrations');
+const { sourceFromRow } = require('./sources');
+
+// Ensure data folder exists
+const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir);
+}
+
+// Create/open database
+const dbFile = path.join(dataDir, 'asoubot.db');
+const db = new Database(dbFile);
+
+db.pragma('foreign_keys = ON');
+
+// Bring the schema up to date
+runMigrations(db, dbFile);
+
+/**
+ * Column storing the on/off toggle for each optional post kind, in both guild_config and tracked_account.
+ */
+const POST_KIND_COLUMNS = {
+    retweet: 'post_retweets',
+    reply: 'post_replies',
+    quote: 'post_quotes',
+};
+
+log("Database initialized.");
+
+/**
+ * @brief Inserts or updates the news channel configuration for a Discord server.
+ *
+ * @param guildId    Discord server ID
+ * @param channelId  Discord channel ID
+ * 
+ * @throws {Error} SQL execution fail
+ */
+function setGuildNewsChannel(guildId, channelId) {
+    const stmt = db.prepare(`
+        INSERT INTO guild_config (guild_id, post_channel_id)
+        VALUES (?, ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+            post_channel_id = excluded.post_channel_id
+    `);
+    stmt.run(guildId, channelId);
+}
+
+/**
+ * @brief Inserts or updates the ping role configuration for a Discord server.
+ * 
+ * @param guildId   Discord server ID
+ * @param pingRole  "everyone" or Discord role ID
+ * 
+ * @throws {Error} SQL execution fail
+ */
+function setGuildPingRole(guildId, pingRole) {
+    const stmt = db.prepare(`
+        INSERT INTO guild_config (guild_id, post_channel_id, ping_role)
+        VALUES (?, '', ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+            ping_role = excluded.ping_role
+    `);
+    stmt.run(guildId, pingRole);
+}
+
+/**
+ * @brief Inserts or updates the translation target language for a Discord server.
+ *
+ * @param guildId     Discord server ID
+ * @param targetLang  DeepL target language code (e.g. "pt-BR")
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setGuildTargetLang(guildId, targetLang) {
+    const stmt = db.prepare(`
+        INSERT INTO guild_config (guild_id, post_channel_id, target_lang)
+        VALUES (?, '', ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+            target_lang = excluded.target_lang
+    `);
+    stmt.run(guildId, targetLang);
+}
+
+/**
+ * @brief Inserts or updates the admin channel that receives bot alerts for a Discord server.
+ *
+ * @param guildId    Discord server ID
+ * @param channelId  Discord channel ID, or null to turn alerts off
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setGuildAdminChannel(guildId, channelId) {
+    const stmt = db.prepare(`
+        INSERT INTO guild_config (guild_id, post_channel_id, admin_channel_id)
+        VALUES (?, '', ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+            admin_channel_id = excluded.admin_channel_id
+    `);
+    stmt.run(guildId, channelId);
+}
+
+/**
+ * @brief Inserts or updates the role allowed to correct translations in a Discord server.
+ *
+ * @param guildId Discord server ID
+ * @param roleId  Discord role ID, or null to clear it
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setGuildTranslatorRole(guildId, roleId) {
+    const stmt = db.prepare(`
+        INSERT INTO guild_config (guild_id, post_channel_id, translator_role_id)
+        VALUES (?, '', ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+            translator_role_id = excluded.translator_role_id
+    `);
+    stmt.run(guildId, roleId);
+}
+
+/**
+ * @brief Adds a tracked Twitter or Bluesky account for a Discord server.
+ *
+ * If the (guildId, username) pair already exists, the operation is ignored.
+ *
+ * @param guildId    Discord server ID
+ * @param username   Twitter username or Bluesky handle
+ * @param channelId  Channel override for this account, or null to use the server's news channel
+ * @param pingRole   Ping role override for this account ("everyone" or role ID), or null to use the server's ping role
+ * @param sourceType 'nitter' for Twitter/X, 'bluesky' for Bluesky
+ *
+ * @returns {boolean} True if a change occured
+ * 
+ * @throws {Error} SQL execution fail
+ */
+function addTrackedAccount(guildId, username, channelId = null, pingRole = null, sourceType = 'nitter') {
+    const stmt = db.prepare(`
+        INSERT OR IGNORE INTO tracked_account (guild_id, username, channel_id, ping_role, source_type)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+    const info = stmt.run(guildId, username, channelId, pingRole, sourceType);
+    return info.changes > 0; // true if inserted
+}
+
+/**
+ * @brief Adds a tracked RSS/Atom feed for a Discord server.
+ *
+ * The feed is tracked under a name that the other commands (/removeaccount, /filter, ...)
+ * use like a Twitter username. If the name is already tracked, the operation is ignored.
+ *
+ * @param guildId    Discord server ID
+ * @param name       Name to track the feed under
+ * @param url        Feed URL
+ * @param channelId  Channel override for this feed, or null to use the server's news channel
+ * @param pingRole   Ping role override for this feed ("everyone" or role ID), or null to use the server's ping role
+ *
+ * @returns {boolean} True if a change occured
+ *
+ * @throws {Error} SQL execution fail
+ */
+function addTrackedFeed(guildId, name, url, channelId = null, pingRole = null) {
+    const stmt = db.prepare(`
+        INSERT OR IGNORE INTO tracked_account (guild_id, username, channel_id, ping_role, source_type, source_url)
+        VALUES (?, ?, ?, ?, 'feed', ?)
+    `);
+    const info = stmt.run(guildId, name, channelId, pingRole, url);
+    return info.changes > 0;
+}
+
+/**
+ * @brief Updates the channel and/or ping role overrides of a tracked account.
+ *
+ * Undefined arguments leave the stored value unchanged; null clears the override.
+ *
+ * @param guildId    Discord server ID
+ * @param username   Twitter Username
+ * @param channelId  Channel override, null to clear, undefined to keep
+ * @param pingRole   Ping role override, null to clear, undefined to keep
+ *
+ * @returns {boolean} True if the account exists
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setTrackedAccountRoute(guildId, username, channelId, pingRole) {
+    const stmt = db.prepare(`
+        UPDATE tracked_account SET
+            channel_id = CASE WHEN @setChannel THEN @channelId ELSE channel_id END,
+            ping_role = CASE WHEN @setRole THEN @pingRole ELSE ping_role END
+        WHERE guild_id = @guildId AND username = @username
+    `);
+    const info = stmt.run({
+        guildId,
+        username,
+        setChannel: channelId === undefined ? 0 : 1,
+        channelId: channelId ?? null,
+        setRole: pingRole === undefined ? 0 : 1,
+        pingRole: pingRole ?? null,
+    });
+    return info.changes > 0;
+}
+
+/**
+ * @brief Pins a tracked account to fast polling, or returns it to the adaptive schedule.
+ *
+ * @param guildId   Discord server ID
+ * @param username  Twitter Username
+ * @param fast      True to always poll at the base interval
+ *
+ * @returns {boolean} True if the account exists
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setTrackedAccountFastPoll(guildId, username, fast) {
+    const stmt = db.prepare(`
+        UPDATE tracked_account SET fast_poll = ?
+        WHERE guild_id = ? AND username = ?
+    `);
+    return stmt.run(fast ? 1 : 0, guildId, username).changes > 0;
+}
+
+/**
+ * @brief Lists sources that at least one Discord server pinned to fast polling.
+ *
+ * @returns {string[]} Source keys (see sources.js)
+ */
+function listFastPollSourceKeys() {
+    const stmt = db.prepare(`
+        SELECT username, source_type, source_url FROM tracked_account
+        WHERE fast_poll = 1
+    `);
+    return [...new Set(stmt.all().map((row) => sourceFromRow(row).key))];
+}
+
+/**
+ * @brief Removes a tracked account username for a Discord server.
+ *
+ * @param guildId   Discord server ID
+ * @param username  Twitter Username
+ *
+ * @returns {boolean} True if a row was removed, false if not found
+ */
+function removeTrackedAccount(guildId, username) {
+    const stmt = db.prepare(`
+        DELETE FROM tracked_account
+        WHERE guild_id = ? AND username = ?
+    `);
+    const info = stmt.run(guildId, username);
+    return info.changes > 0;
+}
+
+/**
+ * @brief Lists tracked account usernames for a Discord server.
+ *
+ * @param guildId   Discord server ID
+ *
+ * @returns {string[]} Array of usernames for this guild
+ */
+function listTrackedAccounts(guildId) {
+    const stmt = db.prepare(`
+        SELECT username FROM tracked_account
+        WHERE guild_id = ?
+        ORDER BY username COLLATE NOCASE
+    `);
+    return stmt.all(guildId).map((row) => row.username);
+}
+
+/**
+ * @brief Lists the sources tracked by a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {import('./sources').TrackedSource[]}
+ */
+function listTrackedSources(guildId) {
+    const stmt = db.prepare(`
+        SELECT username, source_type, source_url FROM tracked_account
+        WHERE guild_id = ?
+        ORDER BY username COLLATE NOCASE
+    `);
+    return stmt.all(guildId).map(sourceFromRow);
+}
+
+/**
+ * @brief Lists tracked accounts with their routing overrides for a Discord server.
+ *
+ * @param guildId   Discord server ID
+ *
+ * @returns {{username: string, channel_id: string|null, ping_role: string|null, fast_poll: number}[]} Rows for this guild
+ */
+function listTrackedAccountRoutes(guildId) {
+    const stmt = db.prepare(`
+        SELECT username, channel_id, ping_role, fast_poll, source_type, source_url FROM tracked_account
+        WHERE guild_id = ?
+        ORDER BY username COLLATE NOCASE
+    `);
+    return stmt.all(guildId);
+}
+
+/**
+ * @brief Retrieves a tracked account row for a Discord server.
+ *
+ * @param {string} guildId  Discord server ID
+ * @param {string} username Twitter Username
+ *
+ * @returns {{guild_id: string, username: string, channel_id: string|null, ping_role: string|null, source_type: string, source_url: string|null}|undefined} Account row
+ */
+function getTrackedAccount(guildId, username) {
+    const stmt = db.prepare(`SELECT * FROM tracked_account WHERE guild_id = ? AND username = ?`);
+    return stmt.get(guildId, username);
+}
+
+/**
+ * @brief Retrieves the stored config row for a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * 
+ * @returns {{guild_id: string, post_channel_id: string, ping_role: string, target_lang: string, admin_channel_id: string|null, translator_role_id: string|null}} Config row
+ * @retval undefine Does not exist in database
+ */
+function getGuildConfig(guildId) {
+    const stmt = db.prepare(`SELECT * FROM guild_config WHERE guild_id = ?`);
+    return stmt.get(guildId);
+}
+
+/**
+ * @brief Retrieves the configured news post channel ID for a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {string|undefined} Stored post_channel_id, or undefined if not configured
+ */
+function getGuildNewsChannel(guildId) {
+    const row = getGuildConfig(guildId);
+    return row ? row.post_channel_id : undefined;
+}
+
+/**
+ * @brief Retrieves the configured ping role for a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {string|undefined} Stored ping_role ("everyone" or role ID), or undefined if not configured
+ */
+function getGuildPingRole(guildId) {
+    const row = getGuildConfig(guildId);
+    return row ? row.ping_role : undefined;
+}
+
+/**
+ * @brief Updates which optional post kinds a Discord server receives.
+ *
+ * @param {string} guildId Discord server ID
+ * @param {{retweet?: boolean, reply?: boolean, quote?: boolean}} kinds Kinds to change; omitted kinds are kept
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setGuildPostKinds(guildId, kinds) {
+    for (const [kind, col] of Object.entries(POST_KIND_COLUMNS)) {
+        if (kinds[kind] === undefined) continue;
+        db.prepare(`UPDATE guild_config SET ${col} = ? WHERE guild_id = ?`).run(kinds[kind] ? 1 : 0, guildId);
+    }
+}
+
+/**
+ * @brief Updates which optional post kinds are delivered for one tracked account.
+ *
+ * @param {string} guildId  Discord server ID
+ * @param {string} username Twitter Username
+ * @param {{retweet?: boolean|null, reply?: boolean|null, quote?: boolean|null}} kinds
+ *        Kinds to change; null reverts to the server setting, omitted kinds are kept
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setTrackedAccountPostKinds(guildId, username, kinds) {
+    for (const [kind, col] of Object.entries(POST_KIND_COLUMNS)) {
+        if (kinds[kind] === undefined) continue;
+        const value = kinds[kind] === null ? null : (kinds[kind] ? 1 : 0);
+        db.prepare(`UPDATE tracked_account SET ${col} = ? WHERE guild_id = ? AND username = ?`).run(value, guildId, username);
+    }
+}
+
+/**
+ * @brief Checks whether a post kind should be delivered for a tracked account.
+ *
+ * Original posts are always delivered. Account settings take priority over server settings.
+ *
+ * @param {string} guildId  Discord server ID
+ * @param {string} username Twitter Username
+ * @param {string} kind     "post", "retweet", "reply" or "quote"
+ * @returns {boolean}
+ */
+function isPostKindEnabled(guildId, username, kind) {
+    const col = POST_KIND_COLUMNS[kind];
+    if (!col) return true;
+
+    const account = getTrackedAccount(guildId, username);
+    if (account && account[col] !== null && account[col] !== undefined) return account[col] === 1;
+
+    const row = getGuildConfig(guildId);
+    return row ? row[col] === 1 : true;
+}
+
+/**
+ * @brief Retrieves the translation target language for a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {string} Stored target_lang, or the default target language if not configured
+ */
+function getGuildTargetLang(guildId) {
+    const row = getGuildConfig(guildId);
+    return row && row.target_lang ? row.target_lang : DEFAULT_TARGET_LANG;
+}
+
+/**
+ * @brief Updates how posts are sent in a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @param {'bot'|'webhook'} mode "bot" for bot messages, "webhook" to post as the tracked account
+ * @returns {boolean} False if the server has not been set up
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setGuildDeliveryMode(guildId, mode) {
+    const stmt = db.prepare(`UPDATE guild_config SET delivery_mode = ? WHERE guild_id = ?`);
+    return stmt.run(mode, guildId).changes > 0;
+}
+
+/**
+ * @brief Retrieves how posts are sent in a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {'bot'|'webhook'} Delivery mode ("bot" if not configured)
+ */
+function getGuildDeliveryMode(guildId) {
+    const row = getGuildConfig(guildId);
+    return row?.delivery_mode === 'webhook' ? 'webhook' : 'bot';
+}
+
+/**
+ * @brief Lists Discord servers that configured an admin channel.
+ *
+ * @returns {{guild_id: string, admin_channel_id: string}[]} Rows
+ */
+function listGuildAdminChannels() {
+    const stmt = db.prepare(`
+        SELECT guild_id, admin_channel_id FROM guild_config
+        WHERE admin_channel_id IS NOT NULL AND admin_channel_id != ''
+    `);
+    return stmt.all();
+}
+
+/**
+ * @brief Delete all stored data for a guild.
+ * 
+ * @param {string} guildId
+ */
+function deleteGuildData(guildId) {
+    let total = 0;
+
+    total += db.prepare('DELETE FROM guild_config WHERE guild_id = ?').run(guildId).changes;
+
+    return total;
+}
+
+/**
+ * Most seen item IDs kept per source. Far more than any feed lists at once, so an item
+ * never drops out of the seen set while it is still in the feed.
+ */
+const SEEN_ITEMS_PER_SOURCE = 1000;
+
+/**
+ * @brief Filters item IDs down to the ones not seen before for a source.
+ *
+ * @param {string}   sourceKey Source key (see sources.js)
+ * @param {string[]} itemIds
+ * @returns {string[]} Unseen IDs, in the given order
+ */
+function filterUnseenItems(sourceKey, itemIds) {
+    const stmt = db.prepare(`SELECT 1 FROM seen_item WHERE source_key = ? AND item_id = ?`);
+    return itemIds.filter((id) => !stmt.get(sourceKey, id));
+}
+
+/**
+ * @brief Whether any item has been recorded as seen for a source.
+ *
+ * @param {string} sourceKey Source key (see sources.js)
+ * @returns {boolean}
+ */
+function hasSeenItems(sourceKey) {
+    return !!db.prepare(`SELECT 1 FROM seen_item WHERE source_key = ? LIMIT 1`).get(sourceKey);
+}
+
+/**
+ * @brief Records item IDs as seen for a source, keeping only the most recent ones.
+ *
+ * @param {string}   sourceKey Source key (see sources.js)
+ * @param {string[]} itemIds
+ *
+ * @throws {Error} SQL execution fail
+ */
+function markItemsSeen(sourceKey, itemIds) {
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO seen_item (source_key, item_id, seen_at)
+        VALUES (?, ?, ?)
+    `);
+    const prune = db.prepare(`
+        DELETE FROM seen_item
+        WHERE source_key = ? AND id NOT IN (
+            SELECT id FROM seen_item WHERE source_key = ? ORDER BY id DESC LIMIT ?
+        )
+    `);
+
+    db.transaction(() => {
+        const now = Date.now();
+        for (const id of itemIds) insert.run(sourceKey, id, now);
+        prune.run(sourceKey, sourceKey, SEEN_ITEMS_PER_SOURCE);
+    })();
+}
+
+/**
+ * @brief Retrieves the last delivered post ID for a tracked source.
+ *
+ * Cursors are shared across guilds, since every guild tracking the same
+ * source is served from the same feed poll.
+ *
+ * @param {string} username Source key (the Twitter username for Nitter sources, see sources.js)
+ * @returns {string|undefined} Stored post ID, or undefined if the source has never been polled
+ */
+function getFeedCursor(username) {
+    const stmt = db.prepare(`SELECT last_seen_id FROM feed_cursor WHERE username = ?`);
+    const row = stmt.get(username);
+    return row ? row.last_seen_id : undefined;
+}
+
+/**
+ * @brief Inserts or updates the last delivered post ID for a tracked source.
+ *
+ * @param {string} username  Source key (the Twitter username for Nitter sources, see sources.js)
+ * @param {string} tweetId   Tweet status ID, or feed item ID
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setFeedCursor(username, tweetId) {
+    const stmt = db.prepare(`
+        INSERT INTO feed_cursor (username, last_seen_id, updated_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(username) DO UPDATE SET
+            last_seen_id = excluded.last_seen_id,
+            updated_at = excluded.updated_at
+    `);
+    stmt.run(username, tweetId, Date.now());
+}
+
+/**
+ * @brief Retrieves a cached translation.
+ *
+ * @param {string} tweetId     Tweet status ID
+ * @param {string} sourceHash  Hash of the source text
+ * @param {string} targetLang  Target language code
+ * @param {number} minCreatedAt Ignore entries created before this timestamp (ms)
+ * @returns {{translated_text: string, provider: string, source_lang: string|null}|undefined} Cached row, or undefined if absent or expired
+ */
+function getCachedTranslation(tweetId, sourceHash, targetLang, minCreatedAt) {
+    const stmt = db.prepare(`
+        SELECT translated_text, provider, source_lang FROM translation
+        WHERE tweet_id = ? AND source_hash = ? AND target_lang = ? AND created_at >= ?
+    `);
+    return stmt.get(tweetId, sourceHash, targetLang, minCreatedAt);
+}
+
+/**
+ * @brief Inserts or replaces a cached translation.
+ *
+ * @param {string} tweetId        Tweet status ID
+ * @param {string} sourceHash     Hash of the source text
+ * @param {string} targetLang     Target language code
+ * @param {string} translatedText Translated text
+ * @param {string} provider       Name of the provider that produced the translation
+ * @param {string|null} [sourceLang] Source language detected by the provider
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setCachedTranslation(tweetId, sourceHash, targetLang, translatedText, provider, sourceLang = null) {
+    const stmt = db.prepare(`
+        INSERT OR REPLACE INTO translation (tweet_id, source_hash, target_lang, translated_text, provider, source_lang, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(tweetId, sourceHash, targetLang, translatedText, provider, sourceLang, Date.now());
+}
+
+/**
+ * @brief Deletes cached translations created before a timestamp.
+ *
+ * @param {number} minCreatedAt Timestamp (ms); older entries are removed
+ * @returns {number} Number of rows removed
+ */
+function purgeCachedTranslations(minCreatedAt) {
+    const stmt = db.prepare(`DELETE FROM translation WHERE created_at < ?`);
+    return stmt.run(minCreatedAt).changes;
+}
+
+/**
+ * @brief Adds an include/exclude filter rule to a tracked account.
+ *
+ * @param {string} guildId  Discord server ID
+ * @param {string} username Twitter Username (must be tracked by the guild)
+ * @param {'include'|'exclude'} mode
+ * @param {'keyword'|'hashtag'|'regex'} kind
+ * @param {string} pattern
+ * @param {'original'|'translated'|'any'} field Text the rule is checked against
+ *
+ * @returns {number} ID of the new rule
+ *
+ * @throws {Error} SQL execution fail
+ */
+function addAccountFilter(guildId, username, mode, kind, pattern, field) {
+    const stmt = db.prepare(`
+        INSERT INTO account_filter (guild_id, username, mode, kind, pattern, field)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const info = stmt.run(guildId, username, mode, kind, pattern, field);
+    return Number(info.lastInsertRowid);
+}
+
+/**
+ * @brief Removes a filter rule from a Discord server.
+ *
+ * @param {string} guildId  Discord server ID
+ * @param {number} filterId Rule ID
+ *
+ * @returns {boolean} True if a row was removed, false if not found
+ */
+function removeAccountFilter(guildId, filterId) {
+    const stmt = db.prepare(`DELETE FROM account_filter WHERE guild_id = ? AND id = ?`);
+    return stmt.run(guildId, filterId).changes > 0;
+}
+
+/**
+ * @brief Lists filter rules for a Discord server, optionally for one account.
+ *
+ * @param {string} guildId    Discord server ID
+ * @param {string} [username] Twitter Username; all accounts if omitted
+ *
+ * @returns {{id: number, username: string, mode: string, kind: string, pattern: string, field: string}[]} Rules
+ */
+function listAccountFilters(guildId, username) {
+    if (username) {
+        const stmt = db.prepare(`
+            SELECT id, username, mode, kind, pattern, field FROM account_filter
+            WHERE guild_id = ? AND username = ?
+            ORDER BY id
+        `);
+        return stmt.all(guildId, username);
+    }
+
+    const stmt = db.prepare(`
+        SELECT id, username, mode, kind, pattern, field FROM account_filter
+        WHERE guild_id = ?
+        ORDER BY username COLLATE NOCASE, id
+    `);
+    return stmt.all(guildId);
+}
+
+/**
+ * Template settings and the guild_template columns that store them.
+ */
+const TEMPLATE_COLUMNS = {
+    color: 'color',
+    title: 'title',
+    description: 'description',
+    footer: 'footer',
+    layout: 'layout',
+    showOriginal: 'show_original',
+    showDisclaimer: 'show_disclaimer',
+    showLink: 'show_link',
+};
+
+/**
+ * @brief Retrieves a Discord server's post template overrides.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {Object|undefined} guild_template row (NULL columns use the default), or undefined if never customized
+ */
+function getGuildTemplate(guildId) {
+    const stmt = db.prepare(`SELECT * FROM guild_template WHERE guild_id = ?`);
+    return stmt.get(guildId);
+}
+
+/**
+ * @brief Updates a Discord server's post template.
+ *
+ * @param {string} guildId Discord server ID
+ * @param {Object} changes Settings to change (keys of TEMPLATE_COLUMNS); null reverts to the default, omitted settings are kept
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setGuildTemplate(guildId, changes) {
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO guild_config (guild_id, post_channel_id)
+            VALUES (?, '')
+            ON CONFLICT(guild_id) DO NOTHING
+        `).run(guildId);
+        db.prepare(`INSERT OR IGNORE INTO guild_template (guild_id) VALUES (?)`).run(guildId);
+
+        for (const [key, col] of Object.entries(TEMPLATE_COLUMNS)) {
+            if (changes[key] === undefined) continue;
+            const value = typeof changes[key] === 'boolean' ? (changes[key] ? 1 : 0) : changes[key];
+            db.prepare(`UPDATE guild_template SET ${col} = ? WHERE guild_id = ?`).run(value, guildId);
+        }
+    })();
+}
+
+/**
+ * @brief Reverts a Discord server's post template to the default.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {boolean} True if the server had a custom template
+ */
+function resetGuildTemplate(guildId) {
+    const stmt = db.prepare(`DELETE FROM guild_template WHERE guild_id = ?`);
+    return stmt.run(guildId).changes > 0;
+}
+
+/**
+ * @brief Adds or replaces glossary terms for a Discord server and language pair.
+ *
+ * @param {string} guildId    Discord server ID
+ * @param {string} sourceLang Glossary source language code (e.g. "ja")
+ * @param {string} targetLang Glossary target language code (e.g. "en")
+ * @param {{ source: string, target: string }[]} terms
+ *
+ * @returns {number} Number of terms added or changed
+ *
+ * @throws {Error} SQL execution fail
+ */
+function upsertGlossaryTerms(guildId, sourceLang, targetLang, terms) {
+    let changed = 0;
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO guild_config (guild_id, post_channel_id)
+            VALUES (?, '')
+            ON CONFLICT(guild_id) DO NOTHING
+        `).run(guildId);
+
+        const stmt = db.prepare(`
+            INSERT INTO glossary_term (guild_id, source_lang, target_lang, source_term, target_term)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(guild_id, source_lang, target_lang, source_term) DO UPDATE SET
+                target_term = excluded.target_term
+            WHERE target_term != excluded.target_term
+        `);
+        for (const term of terms) {
+            changed += stmt.run(guildId, sourceLang, targetLang, term.source, term.target).changes;
+        }
+    })();
+
+    return changed;
+}
+
+/**
+ * @brief Removes a glossary term from a Discord server's language pair.
+ *
+ * @param {string} guildId    Discord server ID
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang Glossary target language code
+ * @param {string} sourceTerm
+ *
+ * @returns {boolean} True if a row was removed, false if not found
+ */
+function removeGlossaryTerm(guildId, sourceLang, targetLang, sourceTerm) {
+    const stmt = db.prepare(`
+        DELETE FROM glossary_term
+        WHERE guild_id = ? AND source_lang = ? AND target_lang = ? AND source_term = ?
+    `);
+    return stmt.run(guildId, sourceLang, targetLang, sourceTerm).changes > 0;
+}
+
+/**
+ * @brief Lists a Discord server's glossary terms, optionally for one language pair.
+ *
+ * @param {string} guildId      Discord server ID
+ * @param {string} [sourceLang] Glossary source language code; all pairs if omitted
+ * @param {string} [targetLang] Glossary target language code; all pairs if omitted
+ *
+ * @returns {{ source_lang: string, target_lang: string, source_term: string, target_term: string }[]} Terms
+ */
+function listGlossaryTerms(guildId, sourceLang, targetLang) {
+    if (sourceLang && targetLang) {
+        const stmt = db.prepare(`
+            SELECT source_lang, target_lang, source_term, target_term FROM glossary_term
+            WHERE guild_id = ? AND source_lang = ? AND target_lang = ?
+            ORDER BY source_term
+        `);
+        return stmt.all(guildId, sourceLang, targetLang);
+    }
+
+    const stmt = db.prepare(`
+        SELECT source_lang, target_lang, source_term, target_term FROM glossary_term
+        WHERE guild_id = ?
+        ORDER BY source_lang, target_lang, source_term
+    `);
+    return stmt.all(guildId);
+}
+
+/**
+ * @brief Whether a Discord server has glossary terms translating into a language.
+ *
+ * @param {string} guildId    Discord server ID
+ * @param {string} targetLang Glossary target language code
+ * @returns {boolean}
+ */
+function hasGlossaryTerms(guildId, targetLang) {
+    const stmt = db.prepare(`SELECT 1 FROM glossary_term WHERE guild_id = ? AND target_lang = ? LIMIT 1`);
+    return !!stmt.get(guildId, targetLang);
+}
+
+/**
+ * @brief Retrieves the DeepL glossary synced for a Discord server's language pair.
+ *
+ * @param {string} guildId    Discord server ID
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang Glossary target language code
+ * @returns {{ glossary_id: string, synced_at: number }|undefined}
+ */
+function getDeeplGlossary(guildId, sourceLang, targetLang) {
+    const stmt = db.prepare(`
+        SELECT glossary_id, synced_at FROM deepl_glossary
+        WHERE guild_id = ? AND source_lang = ? AND target_lang = ?
+    `);
+    return stmt.get(guildId, sourceLang, targetLang);
+}
+
+/**
+ * @brief Lists the DeepL glossaries synced for a Discord server.
+ *
+ * @param {string} guildId Discord server ID
+ * @returns {{ source_lang: string, target_lang: string, glossary_id: string, synced_at: number }[]}
+ */
+function listDeeplGlossaries(guildId) {
+    const stmt = db.prepare(`
+        SELECT source_lang, target_lang, glossary_id, synced_at FROM deepl_glossary
+        WHERE guild_id = ?
+    `);
+    return stmt.all(guildId);
+}
+
+/**
+ * @brief Records (or forgets, with a null ID) the DeepL glossary for a language pair.
+ *
+ * @param {string} guildId       Discord server ID
+ * @param {string} sourceLang    Glossary source language code
+ * @param {string} targetLang    Glossary target language code
+ * @param {string|null} glossaryId
+ *
+ * @throws {Error} SQL execution fail
+ */
+function setDeeplGlossary(guildId, sourceLang, targetLang, glossaryId) {
+    if (!glossaryId) {
+        db.prepare(`
+            DELETE FROM deepl_glossary
+            WHERE guild_id = ? AND source_lang = ? AND target_lang = ?
+        `).run(guildId, sourceLang, targetLang);
+        return;
+    }
+
+    const stmt = db.prepare(`
+        INSERT INTO deepl_glossary (guild_id, source_lang, target_lang, glossary_id, synced_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(guild_id, source_lang, target_lang) DO UPDATE SET
+            glossary_id = excluded.glossary_id,
+            synced_at = excluded.synced_at
+    `);
+    stmt.run(guildId, sourceLang, targetLang, glossaryId, Date.now());
+}
+
+/**
+ * Most delivered posts remembered per guild. Buttons on older posts stop working.
+ */
+const DELIVERED_POSTS_PER_GUILD = 2000;
+
+/**
+ * @brief Remembers which Discord message shows which post, so its buttons can act on it.
+ *
+ * @param {string}   guildId        Discord server ID
+ * @param {string}   channelId      Channel the post was sent to
+ * @param {string}   messageId      First message of the post (the one carrying the buttons)
+ * @param {string[]} pageMessageIds Follow-up messages of a long thread, in order
+ * @param {string}   tweetId        Status ID or feed item ID
+ * @param {string}   tweetJson      Delivered post (translated tweet) as JSON
+ *
+ * @throws {Error} SQL execution fail
+ */
+function recordDeliveredPost(guildId, channelId, messageId, pageMessageIds, tweetId, tweetJson) {
+    const insert = db.prepare(`
+        INSERT OR REPLACE INTO delivered_post
+            (message_id, guild_id, channel_id, page_message_ids, tweet_id, tweet_json, view, posted_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'translated', ?)
+    `);
+    const prune = db.prepare(`
+        DELETE FROM delivered_post
+        WHERE guild_id = ? AND message_id NOT IN (
+            SELECT message_id FROM delivered_post WHERE guild_id = ? ORDER BY posted_at DESC LIMIT ?
+        )
+    `);
+
+    db.transaction(() => {
+        insert.run(messageId, guildId, channelId, JSON.stringify(pageMessageIds), tweetId, tweetJson, Date.now());
+        prune.run(guildId, guildId, DELIVERED_POSTS_PER_GUILD);
+    })();
+}
+
+/**
+ * @brief Retrieves a delivered post by the ID of any of its messages.
+ *
+ * @param {string} messageId
+ * @returns {{message_id: string, guild_id: string, channel_id: string, page_message_ids: string[], tweet_id: string, tweet_json: string, view: 'translated'|'original', posted_at: number}|undefined} Row, or undefined if unknown
+ */
+function getDeliveredPost(messageId) {
+    const row = db.prepare(`
+        SELECT * FROM delivered_post
+        WHERE message_id = ? OR instr(page_message_ids, ?) > 0
+    `).get(messageId, `"${messageId}"`);
+    return row ? { ...row, page_message_ids: JSON.parse(row.page_message_ids) } : undefined;
+}
+
+/**
+ * @brief Retrieves the latest post delivered to a guild for a tweet or feed item.
+ *
+ * @param {string} guildId Discord server ID
+ * @param {string} tweetId Status ID or feed item ID (the first part's, for threads)
+ * @returns {ReturnType<typeof getDeliveredPost>} Row, or undefined if the guild never got it
+ */
+function getDeliveredPostForTweet(guildId, tweetId) {
+    const row = db.prepare(`
+        SELECT * FROM delivered_post
+        WHERE guild_id = ? AND tweet_id = ?
+        ORDER BY posted_at DESC
+        LIMIT 1
+    `).get(guildId, tweetId);
+    return row ? { ...row, page_message_ids: JSON.parse(row.page_message_ids) } : undefined;
+}
+
+/**
+ * @brief Updates what a delivered post currently shows.
+ *
+ * @param {string} messageId
+ * @param {string} tweetJson Post as now shown, as JSON
+ * @param {'translated'|'original'} view Whether the translation or only the original text is shown
+ * @param {string[]} pageMessageIds Follow-up messages still showing the post
+ * @returns {boolean} False if the post is unknown
+ *
+ * @throws {Error} SQL execution fail
+ */
+function updateDeliveredPost(messageId, tweetJson, view, pageMessageIds) {
+    const stmt = db.prepare(`
+        UPDATE delivered_post SET tweet_json = ?, view = ?, page_message_ids = ?
+        WHERE message_id = ?
+    `);
+    return stmt.run(tweetJson, view, JSON.stringify(pageMessageIds), messageId).changes > 0;
+}
+
+/**
+ * @brief Records a human correction of a delivered post's translation.
+ *
+ * @param {string} guildId       Discord server ID
+ * @param {string} channelId     Channel the post is in
+ * @param {string} messageId     First message of the corrected post
+ * @param {string} tweetId       Status ID or feed item ID
+ * @param {string} username      Name the account is tracked under
+ * @param {string} editorId      Discord user ID of the member who corrected it
+ * @param {string} previousText  Translation before the correction
+ * @param {string} correctedText Corrected translation
+ *
+ * @throws {Error} SQL execution fail
+ */
+function addTranslationCorrection(guildId, channelId, messageId, tweetId, username, editorId, previousText, correctedText) {
+    const stmt = db.prepare(`
+        INSERT INTO translation_correction
+            (guild_id, channel_id, message_id, tweet_id, username, editor_id, previous_text, corrected_text, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(guildId, channelId, messageId, tweetId, username, editorId, previousText, correctedText, Date.now());
+}
+
+/**
+ * @brief Lists a Discord server's most recent translation corrections, newest first.
+ *
+ * @param {string} guildId  Discord server ID
+ * @param {string} [username] Only this account's corrections
+ * @param {number} [limit=50]
+ * @returns {{id: number, channel_id: string, message_id: string, tweet_id: string, username: string, editor_id: string, previous_text: string, corrected_text: string, created_at: number}[]} Rows
+ */
+function listTranslationCorrections(guildId, username, limit = 50) {
+    if (username) {
+        const stmt = db.prepare(`
+            SELECT * FROM translation_correction
+            WHERE guild_id = ? AND username = ? COLLATE NOCASE
+            ORDER BY created_at DESC, id DESC LIMIT ?
+        `);
+        return stmt.all(guildId, username, limit);
+    }
+
+    const stmt = db.prepare(`
+        SELECT * FROM translation_correction
+        WHERE guild_id = ?
+        ORDER BY created_at DESC, id DESC LIMIT ?
+    `);
+    return stmt.all(guildId, limit);
+}
+
+/**
+ * @brief Adds DeepL characters to a billing period's usage for a guild and account.
+ *
+ * @param {string} period   Billing period start date (YYYY-MM-DD)
+ * @param {string} guildId  Discord server ID the translation was made for
+ * @param {string} username Twitter Username the text came from
+ * @param {number} characters Characters sent to DeepL
+ *
+ * @throws {Error} SQL execution fail
+ */
+function addDeeplUsage(period, guildId, username, characters) {
+    const stmt = db.prepare(`
+        INSERT INTO deepl_usage (period, guild_id, username, characters)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(period, guild_id, username) DO UPDATE SET
+            characters = characters + excluded.characters
+    `);
+    stmt.run(period, guildId, username, characters);
+}
+
+/**
+ * @brief Total DeepL characters used in a billing period, across all guilds.
+ *
+ * @param {string} period Billing period start date (YYYY-MM-DD)
+ * @returns {number}
+ */
+function getDeeplUsageTotal(period) {
+    const stmt = db.prepare(`SELECT COALESCE(SUM(characters), 0) AS total FROM deepl_usage WHERE period = ?`);
+    return stmt.get(period).total;
+}
+
+/**
+ * @brief DeepL characters used by one guild in a billing period, per account.
+ *
+ * @param {string} period  Billing period start date (YYYY-MM-DD)
+ * @param {string} guildId Discord server ID
+ * @returns {{username: string, characters: number}[]} Rows, most used first
+ */
+function listDeeplUsageByAccount(period, guildId) {
+    const stmt = db.prepare(`
+        SELECT username, characters FROM deepl_usage
+        WHERE period = ? AND guild_id = ?
+        ORDER BY characters DESC
+    `);
+    return stmt.all(period, guildId);
+}
+
+/**
+ * @brief Records that a budget alert level was sent for a billing period.
+ *
+ * @param {string} period Billing period start date (YYYY-MM-DD)
+ * @param {number} level  Alert level in percent (e.g. 80, 100)
+ * @returns {boolean} True if this is the first time the level was recorded for the period
+ */
+function markBudgetAlert(period, level) {
+    const stmt = db.prepare(`
+        INSERT OR IGNORE INTO deepl_budget_alert (period, level, sent_at)
+        VALUES (?, ?, ?)
+    `);
+    return stmt.run(period, level, Date.now()).changes > 0;
+}
+
+module.exports = {
+    db,
+    setGuildNewsChannel,
+    setGuildPingRole,
+    setGuildTargetLang,
+    setGuildAdminChannel,
+    setGuildTranslatorRole,
+    setGuildDeliveryMode,
+    getGuildDeliveryMode,
+    addTrackedAccount,
+    addTrackedFeed,
+    setTrackedAccountRoute,
+    setTrackedAccountFastPoll,
+    listFastPollSourceKeys,
+    removeTrackedAccount,
+    listTrackedAccounts,
+    listTrackedSources,
+    listTrackedAccountRoutes,
+    getTrackedAccount,
+    getGuildConfig,
+    getGuildNewsChannel,
+    getGuildPingRole,
+    getGuildTargetLang,
+    setGuildPostKinds,
+    setTrackedAccountPostKinds,
+    isPostKindEnabled,
+    listGuildAdminChannels,
+    deleteGuildData,
+    upsertGlossaryTerms,
+    removeGlossaryTerm,
+    listGlossaryTerms,
+    hasGlossaryTerms,
+    getDeeplGlossary,
+    listDeeplGlossaries,
+    setDeeplGlossary,
+    recordDeliveredPost,
+    getDeliveredPost,
+    getDeliveredPostForTweet,
+    updateDeliveredPost,
+    addTranslationCorrection,
+    listTranslationCorrections,
+    getFeedCursor,
+    setFeedCursor,
+    filterUnseenItems,
+    hasSeenItems,
+    markItemsSeen,
+    getCachedTranslation,
+    setCachedTranslation,
+    purgeCachedTranslations,
+    addAccountFilter,
+    removeAccountFilter,
+    listAccountFilters,
+    getGuildTemplate,
+    setGuildTemplate,
+    resetGuildTemplate,
+    addDeeplUsage,
+    getDeeplUsageTotal,
+    listDeeplUsageByAccount,
+    markBudgetAlert,
+};
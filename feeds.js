@@ -0,0 +1,212 @@
+/**
+ * @file feeds.js
+ *
+ * @brief Map generic RSS/Atom feed items (blogs, YouTube, Mastodon, ...) into the post shape used by the poller.
+ *
+ * Feed items have no numeric status IDs, so they are identified by their guid/id/link and
+ * deduplicated against the set of items already seen (see seen_item in migrations.js).
+ * Feed URLs come from server admins, so they must point at public hosts.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const { extractFeedMedia } = require('./media');
+
+/**
+ * Longest text taken from a feed item for translation, so long blog posts do not eat the
+ * translation budget. The link always leads to the full post.
+ *
+ * @constant {number} FEED_TEXT_MAX_CHARS
+ */
+const FEED_TEXT_MAX_CHARS = 1500;
+
+/**
+ * Addresses feed hosts may not resolve to: unspecified, loopback, private, carrier-grade NAT,
+ * link-local (which includes cloud metadata services), multicast and reserved ranges.
+ * IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+ */
+const BLOCKED_FEED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+    BLOCKED_FEED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_FEED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * @brief Whether a resolved address is one feed hosts may not use.
+ *
+ * @param {string} address
+ * @param {number} family 4 or 6
+ * @returns {boolean}
+ */
+function isBlockedAddress(address, family) {
+    return BLOCKED_FEED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * @brief Check that a feed URL's host only resolves to public addresses.
+ *
+ * Gives an early, readable error; the connection itself is pinned to checked addresses by
+ * PUBLIC_FEED_DISPATCHER, so a host re-resolving to a private address afterwards is refused.
+ *
+ * @param {string} url
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} The host does not resolve, or resolves to a blocked address
+ */
+async function assertPublicFeedUrl(url) {
+    const { hostname } = new URL(url);
+    const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+
+    if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+        throw new Error(`${hostname} is not a public address`);
+    }
+}
+
+/**
+ * @brief dns.lookup() replacement for feed connections that fails unless every address of
+ *        the host is public, and connects to the addresses it checked.
+ *
+ * @param {string} hostname
+ * @param {Object} options dns.lookup() options
+ * @param {Function} callback dns.lookup() callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+            return callback(new Error(`${hostname} is not a public address`));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Dispatcher for fetching feeds from admin-supplied URLs: connections only go to addresses
+ * checked by lookupPublicAddress(), so DNS cannot change between the check and the request.
+ *
+ * @constant {Agent} PUBLIC_FEED_DISPATCHER
+ */
+const PUBLIC_FEED_DISPATCHER = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * @brief Stable identity of a feed item.
+ *
+ * Uses the RSS guid or Atom id, then the link. Items with neither are identified by a hash
+ * of their title and date.
+ *
+ * @param {any} item
+ * @returns {string}
+ */
+function feedItemId(item) {
+    const guid = typeof item?.guid === 'string' ? item.guid : item?.guid?._;
+    const id = [guid, item?.id, item?.link]
+        .find((v) => typeof v === 'string' && v.trim());
+    if (id) return id.trim();
+
+    return crypto
+        .createHash('sha256')
+        .update(`${item?.title || ''}\n${item?.isoDate || item?.pubDate || ''}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+/**
+ * @brief Text of a feed item to translate: its title and a plain-text summary of the body.
+ *
+ * @param {any} item
+ * @returns {string}
+ */
+function extractFeedText(item) {
+    const title = typeof item?.title === 'string' ? item.title.trim() : '';
+    const body = [
+        item?.contentSnippet,
+        item?.mediaGroup?.['media:description']?.[0],
+        item?.summary,
+    ].find((v) => typeof v === 'string' && v.trim())?.trim() || '';
+
+    const text = body.startsWith(title) ? body : [title, body].filter(Boolean).join('\n\n');
+    return text.length > FEED_TEXT_MAX_CHARS ? `${text.slice(0, FEED_TEXT_MAX_CHARS - 1)}…` : text;
+}
+
+/**
+ * @brief Read a feed's display name and image.
+ *
+ * @param {any} feed Parsed feed
+ * @returns {import('./rss').AccountProfile}
+ */
+function extractGenericFeedProfile(feed) {
+    const title = typeof feed?.title === 'string' ? feed.title.trim() : '';
+    const image = feed?.image?.url || feed?.itunes?.image || '';
+
+    return {
+        displayName: title || null,
+        avatarUrl: typeof image === 'string' && image.trim() ? image.trim() : null,
+    };
+}
+
+/**
+ * @brief Order feed items oldest first.
+ *
+ * Sorted by date when every item has one; otherwise the feed order is reversed, since
+ * feeds list their newest items first.
+ *
+ * @param {any[]} items
+ * @returns {any[]}
+ */
+function orderFeedItems(items) {
+    const time = (item) => new Date(item?.isoDate || item?.pubDate || NaN).getTime();
+
+    if (items.every((item) => !Number.isNaN(time(item)))) {
+        return [...items].sort((a, b) => time(a) - time(b));
+    }
+    return [...items].reverse();
+}
+
+/**
+ * @brief Convert a feed item into the post shape used by the poller.
+ *
+ * @param {import('./sources').TrackedSource} source
+ * @param {any} item
+ * @param {import('./rss').AccountProfile} profile
+ * @returns {import('./rss').RssTweet} Untranslated post
+ */
+function feedItemToPost(source, item, profile) {
+    const rawDate = item?.isoDate || item?.pubDate || null;
+    const date = rawDate ? new Date(rawDate) : null;
+
+    return {
+        username: source.name,
+        source: source.key,
+        sourceType: 'feed',
+        id: feedItemId(item),
+        url: typeof item?.link === 'string' ? item.link : '',
+        kind: 'post',
+        author: item?.creator || item?.author || source.name,
+        replyTo: null,
+        quotedAuthor: null,
+        quotedUrl: null,
+        originalText: extractFeedText(item),
+        media: extractFeedMedia(item),
+        profile,
+        publishedAt: date && !Number.isNaN(date.getTime()) ? date : null,
+    };
+}
+
+module.exports = {
+    assertPublicFeedUrl,
+    PUBLIC_FEED_DISPATCHER,
+    feedItemId,
+    extractGenericFeedProfile,
+    orderFeedItems,
+    feedItemToPost,
+};
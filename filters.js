@@ -0,0 +1,117 @@
+/**
+ * @file filters.js
+ *
+ * @brief Include/exclude rules (keywords, hashtags, regular expressions) for tracked accounts.
+ */
+
+'use strict';
+
+const FILTER_MODES = ['include', 'exclude'];
+const FILTER_KINDS = ['keyword', 'hashtag', 'regex'];
+const FILTER_FIELDS = ['original', 'translated', 'any'];
+
+/**
+ * @typedef {Object} AccountFilter
+ * @property {number} id
+ * @property {'include'|'exclude'} mode
+ * @property {'keyword'|'hashtag'|'regex'} kind
+ * @property {string} pattern
+ * @property {'original'|'translated'|'any'} field Which text the rule is checked against
+ */
+
+/**
+ * @brief Escape a string for literal use inside a RegExp.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @brief Normalize a hashtag pattern to its bare tag (no leading '#').
+ *
+ * @param {string} pattern
+ * @returns {string}
+ */
+function normalizeHashtag(pattern) {
+    return pattern.trim().replace(/^#+/, '');
+}
+
+/**
+ * @brief Compile a filter rule into a case-insensitive RegExp.
+ *
+ * @param {'keyword'|'hashtag'|'regex'} kind
+ * @param {string} pattern
+ * @returns {RegExp}
+ *
+ * @throws {SyntaxError} Invalid regular expression
+ */
+function compileFilter(kind, pattern) {
+    if (kind === 'regex') return new RegExp(pattern, 'iu');
+
+    if (kind === 'hashtag') {
+        const tag = escapeRegExp(normalizeHashtag(pattern));
+        return new RegExp(`(^|[^\\p{L}\\p{N}_])[#＃]${tag}(?![\\p{L}\\p{N}_])`, 'iu');
+    }
+
+    return new RegExp(escapeRegExp(pattern.trim()), 'iu');
+}
+
+/**
+ * @brief Whether any of the rules must be checked against translated text.
+ *
+ * @param {AccountFilter[]} filters
+ * @returns {boolean}
+ */
+function needsTranslatedText(filters) {
+    return (filters || []).some((f) => f.field !== 'original');
+}
+
+/**
+ * @brief Check a post against a set of rules.
+ *
+ * A post is rejected if any exclude rule matches. If there are include rules,
+ * at least one of them must match. A rule that fails to compile never matches.
+ *
+ * @param {AccountFilter[]} filters
+ * @param {string} originalText
+ * @param {string} [translatedText] Required if needsTranslatedText(filters)
+ * @returns {boolean} True if the post should be delivered
+ */
+function passesFilters(filters, originalText, translatedText = '') {
+    if (!filters || filters.length === 0) return true;
+
+    const matches = (f) => {
+        let re;
+        try {
+            re = compileFilter(f.kind, f.pattern);
+        } catch {
+            return false;
+        }
+
+        const texts = f.field === 'original'
+            ? [originalText]
+            : f.field === 'translated' ? [translatedText] : [originalText, translatedText];
+
+        return texts.some((t) => !!t && re.test(t));
+    };
+
+    const includes = filters.filter((f) => f.mode === 'include');
+    const excludes = filters.filter((f) => f.mode === 'exclude');
+
+    if (excludes.some(matches)) return false;
+    if (includes.length > 0 && !includes.some(matches)) return false;
+    return true;
+}
+
+module.exports = {
+    FILTER_MODES,
+    FILTER_KINDS,
+    FILTER_FIELDS,
+    compileFilter,
+    normalizeHashtag,
+    needsTranslatedText,
+    passesFilters,
+};
@@ -0,0 +1,387 @@
+/**
+ * @file glossaries.js
+ *
+ * @brief Per-guild DeepL glossaries: language pairs, CSV import and syncing terms to DeepL.
+ *
+ * Terms are stored per (guild, source language, target language) in SQLite, which is the
+ * source of truth. DeepL glossaries cannot be edited, so every change replaces the guild's
+ * DeepL glossary for that pair with a new one. A glossary is only used when one of its
+ * source terms appears in the text, which also tells DeepL the source language (DeepL
+ * requires one when translating with a glossary).
+ */
+
+'use strict';
+
+const deepl = require('deepl-node');
+const { log, error } = require('./logger');
+const { deeplClient } = require('./translators');
+const {
+    listGlossaryTerms,
+    getDeeplGlossary,
+    listDeeplGlossaries,
+    setDeeplGlossary,
+} = require('./db');
+
+/**
+ * Language codes DeepL accepts on either side of a glossary.
+ *
+ * @constant {string[]} GLOSSARY_LANGUAGES
+ */
+const GLOSSARY_LANGUAGES = [
+    'ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'he', 'hu', 'id', 'it', 'ja',
+    'ko', 'lt', 'lv', 'nb', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sv', 'tr', 'uk', 'vi', 'zh',
+];
+
+/**
+ * Longest source or target term accepted, in characters.
+ *
+ * @constant {number} GLOSSARY_TERM_MAX_CHARS
+ */
+const GLOSSARY_TERM_MAX_CHARS = 200;
+
+/**
+ * Latest sync of each language pair, keyed by "guild:source:target". A sync starts once the
+ * previous one for the same pair has finished, so their reads and writes never interleave.
+ *
+ * @type {Map<string, Promise<string|null>>}
+ */
+const g_syncs = new Map();
+
+/**
+ * How long translations wait before syncing a language pair again after a failed sync.
+ * Doubles with every consecutive failure, up to 12 times the base delay.
+ *
+ * @constant {number} GLOSSARY_RETRY_MS
+ */
+const GLOSSARY_RETRY_MS = 5 * 60_000;
+
+/**
+ * Language pairs whose last sync failed, keyed like g_syncs. Translations skip syncing them
+ * until retryAt; a successful sync (e.g. from a glossary command) clears the entry.
+ *
+ * @type {Map<string, { failures: number, retryAt: number }>}
+ */
+const g_failedSyncs = new Map();
+
+/**
+ * @brief Glossary language code for a DeepL target language ("en-US" -> "en").
+ *
+ * @param {string} targetLang DeepL target language code
+ * @returns {string}
+ */
+function glossaryLangOf(targetLang) {
+    return (targetLang || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * @brief Normalize a glossary language option, or null if DeepL glossaries do not support it.
+ *
+ * @param {string} code
+ * @returns {string|null}
+ */
+function parseGlossaryLang(code) {
+    const lang = glossaryLangOf((code || '').trim());
+    return GLOSSARY_LANGUAGES.includes(lang) ? lang : null;
+}
+
+/**
+ * @brief Clean up a term for storage. DeepL rejects tabs, line breaks and surrounding spaces.
+ *
+ * @param {string} term
+ * @returns {string} Cleaned term, or '' if nothing usable is left
+ */
+function normalizeTerm(term) {
+    return (term || '').replace(/[\t\r\n]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * @brief Split one CSV line into fields (RFC 4180 quoting with "" escapes).
+ *
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * @brief Parse a glossary CSV in DeepL's format: "source,target[,source_lang,target_lang]".
+ *
+ * Rows without language columns use the given pair. A header row ("source,target") and
+ * blank lines are skipped. Rows that cannot be used are reported by line number.
+ *
+ * @param {string} csv
+ * @param {string} sourceLang Default glossary source language code
+ * @param {string} targetLang Default glossary target language code
+ * @returns {{ terms: { sourceLang: string, targetLang: string, source: string, target: string }[], invalid: number[] }}
+ */
+function parseGlossaryCsv(csv, sourceLang, targetLang) {
+    const terms = [];
+    const invalid = [];
+
+    const lines = (csv || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    lines.forEach((line, i) => {
+        if (!line.trim()) return;
+
+        const [rawSource, rawTarget, rawFrom, rawTo] = splitCsvLine(line);
+        if (i === 0 && /^source$/i.test((rawSource || '').trim()) && /^target$/i.test((rawTarget || '').trim())) return;
+
+        const source = normalizeTerm(rawSource);
+        const target = normalizeTerm(rawTarget);
+        const from = rawFrom?.trim() ? parseGlossaryLang(rawFrom) : sourceLang;
+        const to = rawTo?.trim() ? parseGlossaryLang(rawTo) : targetLang;
+
+        if (!source || !target || !from || !to || from === to
+            || source.length > GLOSSARY_TERM_MAX_CHARS || target.length > GLOSSARY_TERM_MAX_CHARS) {
+            invalid.push(i + 1);
+            return;
+        }
+
+        terms.push({ sourceLang: from, targetLang: to, source, target });
+    });
+
+    return { terms, invalid };
+}
+
+/**
+ * @brief Whether a DeepL error says the glossary used no longer exists.
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isGlossaryNotFoundError(err) {
+    return err instanceof deepl.GlossaryNotFoundError;
+}
+
+/**
+ * @brief Forget the DeepL glossary recorded for a language pair, so it is synced again.
+ *
+ * @param {string} guildId
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang DeepL target language code
+ */
+function forgetGlossary(guildId, sourceLang, targetLang) {
+    setDeeplGlossary(guildId, sourceLang, glossaryLangOf(targetLang), null);
+}
+
+/**
+ * @brief Delete a DeepL glossary, ignoring ones that are already gone.
+ *
+ * @param {string} glossaryId
+ */
+async function deleteDeeplGlossary(glossaryId) {
+    try {
+        await deeplClient.deleteGlossary(glossaryId);
+    } catch (err) {
+        if (!isGlossaryNotFoundError(err)) throw err;
+    }
+}
+
+/**
+ * @brief Key of a language pair in g_syncs.
+ *
+ * @param {string} guildId
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang Glossary target language code
+ * @returns {string}
+ */
+function syncKey(guildId, sourceLang, targetLang) {
+    return `${guildId}:${sourceLang}:${targetLang}`;
+}
+
+/**
+ * @brief Replace a guild's DeepL glossary for a language pair with its current terms.
+ *
+ * The old glossary is deleted first; if creating the new one fails, no glossary is recorded
+ * and a later translation needing it tries again once the retry delay has passed. A glossary
+ * recorded for the pair while the new one was being created loses to it and is deleted, so
+ * none is left orphaned on DeepL.
+ *
+ * @param {string} guildId
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang Glossary target language code
+ * @returns {Promise<string|null>} New glossary ID, or null if the pair has no terms left
+ *
+ * @throws {Error} A DeepL request failed
+ */
+async function replaceGlossary(guildId, sourceLang, targetLang) {
+    const previous = getDeeplGlossary(guildId, sourceLang, targetLang);
+    if (previous) {
+        await deleteDeeplGlossary(previous.glossary_id);
+        setDeeplGlossary(guildId, sourceLang, targetLang, null);
+    }
+
+    const rows = listGlossaryTerms(guildId, sourceLang, targetLang);
+    if (rows.length === 0) {
+        log(`[GLOSSARY] guild=${guildId} ${sourceLang}->${targetLang} has no terms; DeepL glossary removed`);
+        return null;
+    }
+
+    const entries = new deepl.GlossaryEntries({
+        entries: Object.fromEntries(rows.map((r) => [r.source_term, r.target_term])),
+    });
+    const info = await deeplClient.createGlossary(`asoubot-${guildId}-${sourceLang}-${targetLang}`, sourceLang, targetLang, entries);
+
+    const raced = getDeeplGlossary(guildId, sourceLang, targetLang);
+    if (raced && raced.glossary_id !== info.glossaryId) {
+        log(`[GLOSSARY] guild=${guildId} ${sourceLang}->${targetLang} replacing glossary ${raced.glossary_id} recorded during the sync`);
+        await deleteDeeplGlossary(raced.glossary_id);
+    }
+
+    setDeeplGlossary(guildId, sourceLang, targetLang, info.glossaryId);
+    log(`[GLOSSARY] guild=${guildId} ${sourceLang}->${targetLang} synced ${rows.length} term(s) as ${info.glossaryId}`);
+    return info.glossaryId;
+}
+
+/**
+ * @brief Replace a guild's DeepL glossary for a language pair with its current terms, after
+ *        any sync of the pair already running.
+ *
+ * @param {string} guildId
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang Glossary target language code
+ * @returns {Promise<string|null>} New glossary ID, or null if the pair has no terms left
+ *
+ * @throws {Error} DeepL is not configured, or a DeepL request failed
+ */
+async function syncGlossary(guildId, sourceLang, targetLang) {
+    if (!deeplClient) throw new Error('DeepL is not configured (DEEPL_AUTH_KEY is not set)');
+
+    const key = syncKey(guildId, sourceLang, targetLang);
+    const sync = (g_syncs.get(key) || Promise.resolve())
+        .catch(() => {})
+        .then(() => replaceGlossary(guildId, sourceLang, targetLang));
+    g_syncs.set(key, sync);
+
+    try {
+        const glossaryId = await sync;
+        g_failedSyncs.delete(key);
+        return glossaryId;
+    } catch (err) {
+        const failures = (g_failedSyncs.get(key)?.failures || 0) + 1;
+        const delay = Math.min(GLOSSARY_RETRY_MS * 2 ** (failures - 1), GLOSSARY_RETRY_MS * 12);
+        g_failedSyncs.set(key, { failures, retryAt: Date.now() + delay });
+        throw err;
+    } finally {
+        if (g_syncs.get(key) === sync) g_syncs.delete(key);
+    }
+}
+
+/**
+ * @brief Pick the guild glossary to translate a text with, without syncing anything.
+ *
+ * Among the guild's glossaries into the target language, the one with the most source
+ * terms found in the text wins. Terms are matched ignoring case and with whitespace
+ * collapsed as in normalizeTerm(), the same way they were stored.
+ *
+ * @param {string} guildId
+ * @param {string} text Text about to be translated
+ * @param {string} targetLang DeepL target language code
+ * @returns {{ sourceLang: string, glossaryId: string|null }|null} Null if no glossary applies;
+ *          glossaryId is null while the pair has no glossary on DeepL (see ensureGlossary())
+ */
+function matchGlossary(guildId, text, targetLang) {
+    if (!deeplClient || !guildId || !text) return null;
+
+    const target = glossaryLangOf(targetLang);
+    const haystack = normalizeTerm(text).toLowerCase();
+    const hits = new Map();
+
+    for (const row of listGlossaryTerms(guildId)) {
+        if (row.target_lang !== target || !haystack.includes(row.source_term.toLowerCase())) continue;
+        hits.set(row.source_lang, (hits.get(row.source_lang) || 0) + 1);
+    }
+
+    if (hits.size === 0) return null;
+    const [sourceLang] = [...hits].sort((a, b) => b[1] - a[1])[0];
+    return { sourceLang, glossaryId: getDeeplGlossary(guildId, sourceLang, target)?.glossary_id || null };
+}
+
+/**
+ * @brief Get a language pair's DeepL glossary for a translation, syncing it if it is missing.
+ *
+ * A sync of the pair already running is awaited instead of starting another. After a failed
+ * sync the pair is not synced again until its retry delay has passed (see GLOSSARY_RETRY_MS),
+ * so a DeepL outage does not cost a glossary creation per translated post.
+ *
+ * @param {string} guildId
+ * @param {string} sourceLang Glossary source language code
+ * @param {string} targetLang DeepL target language code
+ * @returns {Promise<string|null>} Glossary ID, or null if syncing failed or is backing off
+ */
+async function ensureGlossary(guildId, sourceLang, targetLang) {
+    const target = glossaryLangOf(targetLang);
+    const stored = getDeeplGlossary(guildId, sourceLang, target);
+    if (stored) return stored.glossary_id;
+
+    const key = syncKey(guildId, sourceLang, target);
+    if (!g_syncs.has(key) && (g_failedSyncs.get(key)?.retryAt || 0) > Date.now()) return null;
+
+    try {
+        return await (g_syncs.get(key) || syncGlossary(guildId, sourceLang, target));
+    } catch (err) {
+        const retryAt = g_failedSyncs.get(key)?.retryAt || Date.now();
+        error(`[GLOSSARY] sync failed for guild=${guildId} ${sourceLang}->${target}; translating without it and retrying in ${Math.round((retryAt - Date.now()) / 1000)}s:`, err);
+        return null;
+    }
+}
+
+/**
+ * @brief Delete every DeepL glossary of a guild (when the bot leaves it).
+ *
+ * @param {string} guildId
+ * @returns {Promise<void>}
+ */
+async function deleteGuildGlossaries(guildId) {
+    if (!deeplClient) return;
+
+    for (const row of listDeeplGlossaries(guildId)) {
+        try {
+            await deleteDeeplGlossary(row.glossary_id);
+        } catch (err) {
+            error(`[GLOSSARY] could not delete DeepL glossary ${row.glossary_id} of guild=${guildId}:`, err);
+        }
+    }
+}
+
+module.exports = {
+    GLOSSARY_LANGUAGES,
+    GLOSSARY_TERM_MAX_CHARS,
+    glossaryLangOf,
+    parseGlossaryLang,
+    normalizeTerm,
+    parseGlossaryCsv,
+    syncGlossary,
+    matchGlossary,
+    ensureGlossary,
+    forgetGlossary,
+    isGlossaryNotFoundError,
+    deleteGuildGlossaries,
+};
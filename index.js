@@ -1,160 +1,296 @@
-/**
- * @file index.js
- *
- * @brief Main entry point for Asoubot. Initializes the Discord client, sets up event handlers, registers slash commands, and starts the RSS polling loop.
- */
-
-'use strict';
-
-require('dotenv').config();
-
-const { Client, GatewayIntentBits, Events } = require('discord.js');
-const { log, error } = require('./logger');
-const { startRssLoop } = require('./rss');
-const { handleInteraction, registerCommands } = require('./commands');
-const { onGuildJoin, onGuildLeave } = require('./guild_events');
-
-const {
-    listTrackedAccounts,
-    getGuildNewsChannel,
-    getGuildPingRole,
-} = require('./db');
-
-const client = new Client({
-    intents: [GatewayIntentBits.Guilds],
-});
-
-async function getGuildState() {
-    const guildMap = new Map();
-    const all = new Set();
-
-    const guilds = await client.guilds.fetch();
-    for (const [, guildRef] of guilds) {
-        const guild = await guildRef.fetch();
-        const guildId = guild.id;
-
-        const accounts = listTrackedAccounts(guildId) || [];
-        guildMap.set(guildId, accounts);
-
-        for (const u of accounts) {
-            all.add(u);
-        }
-    }
-
-    return {
-        guildMap,
-        allUsernames: [...all],
-    };
-}
-
-function formatPing(pingRole) {
-    if (!pingRole) return '';
-    if (pingRole === 'everyone') return '@everyone';
-    return `<@&${pingRole}>`;
-}
-
-async function notifyGuild(guildId, tweet) {
-    const channelId = getGuildNewsChannel(guildId);
-    if (!channelId) return;
-
-    const channel = await client.channels.fetch(channelId).catch(() => null);
-    if (!channel || !channel.isTextBased()) return;
-
-    const pingRole = getGuildPingRole(guildId);
-    const ping = formatPing(pingRole);
-
-    const embed = {
-        color: 0xfc389d, // Kusuo's hair color :)
-        title: 'Ψ Asoubot Ψ',
-        description: `@${tweet.username} posted!`,
-        fields: [
-            {
-                name: 'Original Text:',
-                value: tweet.originalText ? tweet.originalText : '(empty)',
-            },
-            {
-                name: 'Translated Text:',
-                value: tweet.englishText ? tweet.englishText : '(empty)',
-            },
-            {
-                name: 'DISCLAIMER:',
-                value: 'All tweets are machine translated to English. Translations may be inaccurate.',
-            },
-        ],
-    };
-
-    if (ping) {
-        await channel.send({ content: ping });
-    }
-
-    await channel.send({ embeds: [embed] });
-
-    if (tweet.url) {
-        await channel.send({ content: tweet.url });
-    }
-}
-
-client.once(Events.ClientReady, async () => {
-    log(`Logged in as ${client.user.tag}`);
-
-    try {
-        await registerCommands(client);
-        log('Slash commands registered.');
-    } catch (err) {
-        error('Failed to register slash commands:', err);
-    }
-
-    startRssLoop({
-        client,
-        intervalMs: Number(process.env.RSS_INTERVAL_MS || 60_000),
-        getGuildState,
-        notifyGuild,
-    });
-});
-
-client.on(Events.InteractionCreate, async (interaction) => {
-    try {
-        await handleInteraction(interaction);
-    } catch (err) {
-        error('Interaction handler error:', err);
-
-        if (interaction.isRepliable && interaction.isRepliable()) {
-            if (!interaction.replied && !interaction.deferred) {
-                await interaction.reply({
-                    content: 'Command failed unexpectedly.',
-                    ephemeral: true,
-                }).catch(() => {});
-            }
-        }
-    }
-});
-
-client.on(Events.GuildCreate, async (guild) => {
-    try {
-        await onGuildJoin(guild);
-    } catch (err) {
-        error('onGuildJoin error:', err);
-    }
-});
-
-client.on(Events.GuildDelete, async (guild) => {
-    try {
-        await onGuildLeave(guild);
-    } catch (err) {
-        error('onGuildLeave error:', err);
-    }
-});
-
-client.on(Events.Error, (err) => {
-    error('Discord client error:', err);
-});
-
-process.on('unhandledRejection', (err) => {
-    error('Unhandled promise rejection:', err);
-});
-
-process.on('uncaughtException', (err) => {
-    error('Uncaught exception:', err);
-});
-
-client.login(process.env.DISCORD_TOKEN);
+/**
+ * @file index.js
+ *
+ * @brief Main entry point for Asoubot. Initializes the Discord client, sets up event handlers, registers slash commands, and starts the RSS polling loop.
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const { Client, GatewayIntentBits, Events } = require('discord.js');
+const { log, error } = require('./logger');
+const { startRssLoop } = require('./rss');
+const { handleInteraction, registerCommands } = require('./commands');
+const { onGuildJoin, onGuildLeave } = require('./guild_events');
+const { resolveTemplate, buildTweetMessages } = require('./templates');
+const { withPostActions, sendPostMessages, rememberPost, extendPost } = require('./post_actions');
+const { DEEPL_MONTHLY_CHAR_BUDGET, getBudgetStatus } = require('./budget');
+
+const {
+    db,
+    listTrackedSources,
+    getGuildNewsChannel,
+    getGuildPingRole,
+    getTrackedAccount,
+    listGuildAdminChannels,
+    listDeeplUsageByAccount,
+    getGuildTemplate,
+    getDeliveredPostForTweet,
+} = require('./db');
+
+const client = new Client({
+    intents: [GatewayIntentBits.Guilds],
+});
+
+/**
+ * Longest time shutdown waits for in-flight deliveries before exiting anyway, in milliseconds.
+ */
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 30_000);
+
+/** @type {{ stop: () => Promise<void> }|null} */
+let g_rssLoop = null;
+let g_shuttingDown = false;
+
+async function getGuildState() {
+    const guildMap = new Map();
+    const all = new Map();
+
+    const guilds = await client.guilds.fetch();
+    for (const [, guildRef] of guilds) {
+        const guild = await guildRef.fetch();
+        const guildId = guild.id;
+
+        const sources = listTrackedSources(guildId) || [];
+        guildMap.set(guildId, sources);
+
+        for (const source of sources) {
+            if (!all.has(source.key)) all.set(source.key, source);
+        }
+    }
+
+    return {
+        guildMap,
+        sources: [...all.values()],
+    };
+}
+
+function formatPing(pingRole) {
+    if (!pingRole) return '';
+    if (pingRole === 'everyone') return '@everyone';
+    return `<@&${pingRole}>`;
+}
+
+/**
+ * @brief Resolve where a tracked account's posts go in a guild.
+ *
+ * Per-account overrides win over the server-wide news channel and ping role.
+ *
+ * @param {string} guildId
+ * @param {string} name Name the guild tracks the source under (the post's `username`), not its source key
+ * @returns {{ channelId: string|undefined, pingRole: string|undefined }}
+ */
+function resolveRoute(guildId, name) {
+    const account = getTrackedAccount(guildId, name);
+
+    return {
+        channelId: account?.channel_id || getGuildNewsChannel(guildId),
+        pingRole: account?.ping_role || getGuildPingRole(guildId),
+    };
+}
+
+/**
+ * @brief Deliver a translated tweet to a guild, rendered with the guild's post template.
+ *
+ * In webhook delivery mode the post is sent under the tracked account's display name and
+ * avatar, falling back to a bot message when the webhook cannot be used. Threads too long
+ * for one message are sent as several messages in order.
+ *
+ * The first message carries the post buttons (see post_actions.js), and the messages are
+ * remembered so the buttons can edit them later. A thread the guild already got, passed
+ * again with new parts, updates the post that was sent instead.
+ *
+ * @param {string} guildId
+ * @param {import('./rss').RssTweet} tweet
+ */
+async function notifyGuild(guildId, tweet) {
+    const earlier = tweet.thread ? getDeliveredPostForTweet(guildId, tweet.id) : null;
+    if (earlier) {
+        await extendPost(client, earlier, tweet);
+        log(`[POST] message=${earlier.message_id} extended to a thread of ${tweet.thread.length} posts`);
+        return;
+    }
+
+    const { channelId, pingRole } = resolveRoute(guildId, tweet.username);
+    if (!channelId) return;
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) return;
+
+    const template = resolveTemplate(getGuildTemplate(guildId));
+    const messages = withPostActions(buildTweetMessages(template, tweet, formatPing(pingRole)), tweet);
+    const sent = await sendPostMessages(channel, guildId, messages, tweet);
+
+    try {
+        rememberPost(guildId, channelId, sent, tweet);
+    } catch (err) {
+        error(`[POST] could not record tweet=${tweet.id} for guild=${guildId}; its buttons will not work:`, err);
+    }
+}
+
+/**
+ * @brief Post a DeepL budget alert to every guild that configured an admin channel.
+ *
+ * Each guild sees the shared total plus its own usage, broken down by account.
+ *
+ * @param {{ period: string, level: number }} alert
+ */
+async function notifyBudgetAlert(alert) {
+    const status = getBudgetStatus();
+    const resets = `<t:${Math.floor(status.resetsAt.getTime() / 1000)}:D>`;
+
+    const title = alert.level >= 100
+        ? 'DeepL translation budget exhausted'
+        : `DeepL translation budget at ${alert.level}%`;
+    const summary = alert.level >= 100
+        ? `Posts are delivered untranslated until the budget resets on ${resets}.`
+        : `Translations continue until the budget is used up. It resets on ${resets}.`;
+
+    for (const { guild_id: guildId, admin_channel_id: channelId } of listGuildAdminChannels()) {
+        const channel = await client.channels.fetch(channelId).catch(() => null);
+        if (!channel || !channel.isTextBased()) continue;
+
+        const rows = listDeeplUsageByAccount(alert.period, guildId);
+        const guildTotal = rows.reduce((sum, r) => sum + r.characters, 0);
+        const breakdown = rows
+            .slice(0, 10)
+            .map((r) => `@${r.username || '(unknown)'}: ${r.characters.toLocaleString('en-US')}`)
+            .join('\n');
+
+        const embed = {
+            color: 0xfc389d, // Kusuo's hair color :)
+            title,
+            description: summary,
+            fields: [
+                {
+                    name: 'Usage this period',
+                    value: `${status.used.toLocaleString('en-US')} / ${DEEPL_MONTHLY_CHAR_BUDGET.toLocaleString('en-US')} characters`,
+                },
+                {
+                    name: 'This server',
+                    value: `${guildTotal.toLocaleString('en-US')} characters${breakdown ? `\n${breakdown}` : ''}`,
+                },
+            ],
+        };
+
+        await channel.send({ embeds: [embed] }).catch((err) => {
+            error(`[BUDGET] failed to alert guild=${guildId} channel=${channelId}:`, err);
+        });
+    }
+}
+
+client.once(Events.ClientReady, async () => {
+    log(`Logged in as ${client.user.tag}`);
+
+    try {
+        await registerCommands(client);
+        log('Slash commands registered.');
+    } catch (err) {
+        error('Failed to register slash commands:', err);
+    }
+
+    if (g_shuttingDown) return;
+
+    g_rssLoop = startRssLoop({
+        client,
+        intervalMs: Number(process.env.RSS_INTERVAL_MS || 60_000),
+        getGuildState,
+        notifyGuild,
+        notifyBudgetAlert,
+    });
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+    if (g_shuttingDown) return;
+
+    try {
+        await handleInteraction(interaction);
+    } catch (err) {
+        error('Interaction handler error:', err);
+
+        if (interaction.isRepliable && interaction.isRepliable()) {
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: 'Command failed unexpectedly.',
+                    ephemeral: true,
+                }).catch(() => {});
+            }
+        }
+    }
+});
+
+client.on(Events.GuildCreate, async (guild) => {
+    try {
+        await onGuildJoin(guild);
+    } catch (err) {
+        error('onGuildJoin error:', err);
+    }
+});
+
+client.on(Events.GuildDelete, async (guild) => {
+    try {
+        await onGuildLeave(guild);
+    } catch (err) {
+        error('onGuildLeave error:', err);
+    }
+});
+
+client.on(Events.Error, (err) => {
+    error('Discord client error:', err);
+});
+
+/**
+ * @brief Stop polling, drain pending deliveries, disconnect from Discord and close the database.
+ *
+ * @param {string} signal Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+    if (g_shuttingDown) return;
+    g_shuttingDown = true;
+
+    log(`Received ${signal}; shutting down...`);
+
+    if (g_rssLoop) {
+        let timeout = null;
+        const timedOut = new Promise((resolve) => {
+            timeout = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT_MS);
+        });
+
+        try {
+            const result = await Promise.race([g_rssLoop.stop().then(() => false), timedOut]);
+            if (result) error(`Pending deliveries did not finish within ${SHUTDOWN_TIMEOUT_MS}ms; exiting anyway.`);
+        } catch (err) {
+            error('Failed to stop RSS loop:', err);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    try {
+        await client.destroy();
+    } catch (err) {
+        error('Failed to destroy Discord client:', err);
+    }
+
+    try {
+        db.close();
+    } catch (err) {
+        error('Failed to close database:', err);
+    }
+
+    log('Shutdown complete.');
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+process.on('unhandledRejection', (err) => {
+    error('Unhandled promise rejection:', err);
+});
+
+process.on('uncaughtException', (err) => {
+    error('Uncaught exception:', err);
+});
+
+client.login(process.env.DISCORD_TOKEN);
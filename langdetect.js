@@ -0,0 +1,152 @@
+/**
+ * @file langdetect.js
+ *
+ * @brief Cheap local guess of a text's language from its script and common words.
+ *
+ * Run before calling a translation provider, so posts already written in a guild's target
+ * language cost no quota. The guess is deliberately conservative: it returns null whenever
+ * the text is short, mixed or ambiguous, and the provider decides instead.
+ */
+
+'use strict';
+
+/**
+ * Share of letters a script must reach for the text to count as written in it.
+ *
+ * @constant {number} SCRIPT_MIN_SHARE
+ */
+const SCRIPT_MIN_SHARE = 0.3;
+
+/**
+ * Scripts that identify a single language, checked after Japanese kana. Han without kana is
+ * left to the provider, since kanji-only Japanese (names, titles) is common.
+ */
+const SCRIPT_LANGUAGES = [
+    { lang: 'ko', re: /\p{Script=Hangul}/gu },
+    { lang: 'el', re: /\p{Script=Greek}/gu },
+    { lang: 'he', re: /\p{Script=Hebrew}/gu },
+    { lang: 'ar', re: /\p{Script=Arabic}/gu },
+    { lang: 'th', re: /\p{Script=Thai}/gu },
+];
+
+/**
+ * Very common function words of Latin-script languages, used to tell them apart.
+ *
+ * @type {Object<string, Set<string>>}
+ */
+const STOPWORDS = {
+    en: new Set(['the', 'and', 'is', 'are', 'was', 'to', 'of', 'in', 'for', 'on', 'with', 'this', 'that', 'it', 'you', 'my', 'we', 'i', 'be', 'have', 'at', 'so', 'just', 'today', 'will', 'our', 'your', 'thank', 'thanks', 'from']),
+    es: new Set(['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'del', 'muy', 'hoy', 'gracias', 'pero', 'mi', 'su', 'al', 'lo', 'como', 'más']),
+    pt: new Set(['o', 'a', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'é', 'do', 'da', 'no', 'na', 'com', 'para', 'por', 'muito', 'hoje', 'obrigado', 'obrigada', 'mas', 'meu', 'não']),
+    fr: new Set(['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'en', 'du', 'pour', 'que', 'qui', 'dans', 'pas', 'avec', 'sur', 'je', 'merci', 'très', 'aujourd', 'mon', 'vous', 'nous']),
+    de: new Set(['der', 'die', 'das', 'und', 'ist', 'ich', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'auf', 'für', 'es', 'sie', 'wir', 'heute', 'danke', 'auch', 'sehr', 'mein', 'dem', 'im']),
+    it: new Set(['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'con', 'non', 'del', 'della', 'sono', 'oggi', 'grazie', 'molto', 'mio', 'nel', 'alla', 'ma', 'anche']),
+};
+
+/** Fewest words needed before the word lists are trusted. */
+const STOPWORD_MIN_WORDS = 4;
+
+/** Share of words that must be function words of the winning language. */
+const STOPWORD_MIN_SHARE = 0.15;
+
+/**
+ * @brief Base language code of a language code ("en-US" -> "en", "zh-HANT" -> "zh").
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function baseLanguage(code) {
+    return (code || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * @brief Remove parts of a post that say nothing about its language: links, mentions and hashtags.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripNoise(text) {
+    return (text || '')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/[@#][\p{L}\p{N}_.]+/gu, ' ');
+}
+
+/**
+ * @brief Count the characters of a text matching a regex.
+ *
+ * @param {string} text
+ * @param {RegExp} re Global regex
+ * @returns {number}
+ */
+function countMatches(text, re) {
+    return (text.match(re) || []).length;
+}
+
+/**
+ * @brief Guess a Latin-script text's language from its function words.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+function guessFromWords(text) {
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < STOPWORD_MIN_WORDS) return null;
+
+    const scores = Object.entries(STOPWORDS)
+        .map(([lang, set]) => ({ lang, share: words.filter((w) => set.has(w)).length / words.length }))
+        .sort((a, b) => b.share - a.share);
+
+    const [best, second] = scores;
+    if (best.share < STOPWORD_MIN_SHARE || best.share < second.share * 2) return null;
+    return best.lang;
+}
+
+/**
+ * @brief Guess the language of a text without calling any provider.
+ *
+ * Kana identifies Japanese, and scripts used by a single language (Hangul, Greek, ...)
+ * identify that language. Latin-script text is matched against common words of English,
+ * Spanish, Portuguese, French, German and Italian.
+ *
+ * @param {string} text
+ * @returns {string|null} Base language code, or null when unsure
+ */
+function detectLanguage(text) {
+    const clean = stripNoise(text);
+    const letters = countMatches(clean, /\p{L}/gu);
+    if (letters < 3) return null;
+
+    const kana = countMatches(clean, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+    const han = countMatches(clean, /\p{Script=Han}/gu);
+    if (kana > 0 && (kana + han) / letters >= SCRIPT_MIN_SHARE) return 'ja';
+
+    for (const { lang, re } of SCRIPT_LANGUAGES) {
+        if (countMatches(clean, re) / letters >= SCRIPT_MIN_SHARE) return lang;
+    }
+
+    const latin = countMatches(clean, /\p{Script=Latin}/gu);
+    if (latin / letters < 0.9) return null;
+
+    return guessFromWords(clean);
+}
+
+/**
+ * @brief Name of a language in another language, e.g. ("ja", "es") -> "japonés".
+ *
+ * @param {string} code Language to name
+ * @param {string} [displayLang='en'] Language to write the name in
+ * @returns {string} The name, or the code if the runtime cannot name it
+ */
+function languageName(code, displayLang = 'en') {
+    try {
+        return new Intl.DisplayNames([displayLang, 'en'], { type: 'language' }).of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+module.exports = {
+    baseLanguage,
+    detectLanguage,
+    languageName,
+};
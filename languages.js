@@ -0,0 +1,175 @@
+/**
+ * @file languages.js
+ *
+ * @brief Translation target languages and localized labels for news embeds.
+ */
+
+'use strict';
+
+/**
+ * Target language used when a guild has not picked one.
+ *
+ * @constant {string} DEFAULT_TARGET_LANG
+ */
+const DEFAULT_TARGET_LANG = 'en-US';
+
+/**
+ * Target languages supported by DeepL, as accepted by `translateText`.
+ *
+ * @constant {{ code: string, name: string }[]} TARGET_LANGUAGES
+ */
+const TARGET_LANGUAGES = [
+    { code: 'ar', name: 'Arabic' },
+    { code: 'bg', name: 'Bulgarian' },
+    { code: 'cs', name: 'Czech' },
+    { code: 'da', name: 'Danish' },
+    { code: 'de', name: 'German' },
+    { code: 'el', name: 'Greek' },
+    { code: 'en-GB', name: 'English (British)' },
+    { code: 'en-US', name: 'English (American)' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'et', name: 'Estonian' },
+    { code: 'fi', name: 'Finnish' },
+    { code: 'fr', name: 'French' },
+    { code: 'hu', name: 'Hungarian' },
+    { code: 'id', name: 'Indonesian' },
+    { code: 'it', name: 'Italian' },
+    { code: 'ja', name: 'Japanese' },
+    { code: 'ko', name: 'Korean' },
+    { code: 'lt', name: 'Lithuanian' },
+    { code: 'lv', name: 'Latvian' },
+    { code: 'nb', name: 'Norwegian (Bokmål)' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'pl', name: 'Polish' },
+    { code: 'pt-BR', name: 'Portuguese (Brazilian)' },
+    { code: 'pt-PT', name: 'Portuguese (European)' },
+    { code: 'ro', name: 'Romanian' },
+    { code: 'ru', name: 'Russian' },
+    { code: 'sk', name: 'Slovak' },
+    { code: 'sl', name: 'Slovenian' },
+    { code: 'sv', name: 'Swedish' },
+    { code: 'tr', name: 'Turkish' },
+    { code: 'uk', name: 'Ukrainian' },
+    { code: 'zh-HANS', name: 'Chinese (simplified)' },
+    { code: 'zh-HANT', name: 'Chinese (traditional)' },
+];
+
+/**
+ * Embed labels keyed by base language code. Languages without an entry use English labels.
+ */
+const EMBED_LABELS = {
+    en: {
+        posted: (username) => `@${username} posted!`,
+        feedPosted: (name) => `New post from ${name}`,
+        thread: (username, count) => `@${username} posted a thread (${count} posts)`,
+        retweeted: (username, author) => `@${username} retweeted @${author}`,
+        replied: (username, to) => `@${username} replied to @${to}`,
+        quoted: (username, author) => `@${username} quoted @${author}`,
+        quotedPost: 'Quoted Post:',
+        video: 'Video:',
+        altText: 'Image Descriptions:',
+        original: 'Original Text:',
+        translated: 'Translated Text:',
+        disclaimerTitle: 'DISCLAIMER:',
+        disclaimer: (languageName) =>
+            `All tweets are machine translated to ${languageName}. Translations may be inaccurate.`,
+        translatedBy: (provider) => `Translated by ${provider}`,
+        translatedFrom: (language, provider) => `Translated from ${language} by ${provider}`,
+        sameLanguage: (language) => `Written in ${language}; not translated`,
+        untranslated: 'Not translated (no translation provider available)',
+        quotaExhausted: 'Not translated (monthly translation quota exhausted)',
+        retranslate: 'Retranslate',
+        reportTranslation: 'Report translation',
+        originalOnly: 'Original only',
+        showTranslation: 'Show translation',
+        correctedBy: (name) => `Translation corrected by ${name}`,
+    },
+    es: {
+        posted: (username) => `¡@${username} publicó!`,
+        feedPosted: (name) => `Nueva publicación de ${name}`,
+        thread: (username, count) => `@${username} publicó un hilo (${count} publicaciones)`,
+        retweeted: (username, author) => `@${username} retuiteó a @${author}`,
+        replied: (username, to) => `@${username} respondió a @${to}`,
+        quoted: (username, author) => `@${username} citó a @${author}`,
+        quotedPost: 'Publicación citada:',
+        video: 'Video:',
+        altText: 'Descripciones de imágenes:',
+        original: 'Texto original:',
+        translated: 'Texto traducido:',
+        disclaimerTitle: 'AVISO:',
+        disclaimer: () =>
+            'Todos los tuits se traducen automáticamente al español. Las traducciones pueden ser inexactas.',
+        translatedBy: (provider) => `Traducido por ${provider}`,
+        translatedFrom: (language, provider) => `Traducido del ${language} por ${provider}`,
+        sameLanguage: (language) => `Escrito en ${language}; sin traducir`,
+        untranslated: 'Sin traducir (ningún proveedor de traducción disponible)',
+        quotaExhausted: 'Sin traducir (cuota mensual de traducción agotada)',
+        retranslate: 'Volver a traducir',
+        reportTranslation: 'Reportar traducción',
+        originalOnly: 'Solo original',
+        showTranslation: 'Mostrar traducción',
+        correctedBy: (name) => `Traducción corregida por ${name}`,
+    },
+    pt: {
+        posted: (username) => `@${username} publicou!`,
+        feedPosted: (name) => `Nova publicação de ${name}`,
+        thread: (username, count) => `@${username} publicou um fio (${count} publicações)`,
+        retweeted: (username, author) => `@${username} retuitou @${author}`,
+        replied: (username, to) => `@${username} respondeu a @${to}`,
+        quoted: (username, author) => `@${username} citou @${author}`,
+        quotedPost: 'Publicação citada:',
+        video: 'Vídeo:',
+        altText: 'Descrições das imagens:',
+        original: 'Texto original:',
+        translated: 'Texto traduzido:',
+        disclaimerTitle: 'AVISO:',
+        disclaimer: () =>
+            'Todos os tweets são traduzidos automaticamente para o português. As traduções podem ser imprecisas.',
+        translatedBy: (provider) => `Traduzido por ${provider}`,
+        translatedFrom: (language, provider) => `Traduzido do ${language} por ${provider}`,
+        sameLanguage: (language) => `Escrito em ${language}; não traduzido`,
+        untranslated: 'Não traduzido (nenhum provedor de tradução disponível)',
+        quotaExhausted: 'Não traduzido (cota mensal de tradução esgotada)',
+        retranslate: 'Traduzir novamente',
+        reportTranslation: 'Reportar tradução',
+        originalOnly: 'Só o original',
+        showTranslation: 'Mostrar tradução',
+        correctedBy: (name) => `Tradução corrigida por ${name}`,
+    },
+};
+
+/**
+ * @brief Look up a supported target language by code (case-insensitive).
+ *
+ * @param {string} code Language code, e.g. "pt-BR"
+ * @returns {{ code: string, name: string }|undefined}
+ */
+function findTargetLanguage(code) {
+    if (!code || typeof code !== 'string') return undefined;
+    const wanted = code.trim().toLowerCase();
+    return TARGET_LANGUAGES.find((l) => l.code.toLowerCase() === wanted);
+}
+
+/**
+ * @brief Get the embed labels for a target language.
+ *
+ * @param {string} code Target language code
+ * @returns {{ posted: (username: string) => string, feedPosted: (name: string) => string, thread: (username: string, count: number) => string, retweeted: (username: string, author: string) => string, replied: (username: string, to: string) => string, quoted: (username: string, author: string) => string, quotedPost: string, video: string, altText: string, original: string, translated: string, disclaimerTitle: string, disclaimer: string, translatedBy: (provider: string) => string, translatedFrom: (language: string, provider: string) => string, sameLanguage: (language: string) => string, untranslated: string, quotaExhausted: string, retranslate: string, reportTranslation: string, originalOnly: string, showTranslation: string, correctedBy: (name: string) => string }}
+ */
+function getEmbedLabels(code) {
+    const lang = findTargetLanguage(code) || findTargetLanguage(DEFAULT_TARGET_LANG);
+    const base = lang.code.split('-')[0].toLowerCase();
+    const labels = EMBED_LABELS[base] || EMBED_LABELS.en;
+
+    return {
+        ...labels,
+        disclaimer: labels.disclaimer(lang.name.replace(/\s*\(.*\)$/, '')),
+    };
+}
+
+module.exports = {
+    DEFAULT_TARGET_LANG,
+    TARGET_LANGUAGES,
+    findTargetLanguage,
+    getEmbedLabels,
+};
@@ -0,0 +1,221 @@
+/**
+ * @file media.js
+ *
+ * @brief Extract images and videos from Nitter RSS item HTML and rewrite proxied URLs to their originals.
+ *
+ * Generic RSS/Atom items are handled by extractFeedMedia, which reads enclosures, Media RSS
+ * thumbnails and <img> tags without any Nitter-specific rewriting.
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} TweetMedia
+ * @property {'photo'|'video'|'gif'} type
+ * @property {string} url Image URL (the thumbnail for videos and GIFs)
+ * @property {string|null} videoUrl Direct video URL, if the feed exposes one
+ * @property {string} alt Alt text written by the author ('' if none)
+ * @property {string} [translatedAlt] Alt text translated for the receiving guild
+ */
+
+/**
+ * @brief Decode the HTML entities Nitter emits in attribute values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return (text || '')
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * @brief Read an attribute value from a single HTML tag.
+ *
+ * @param {string} tag e.g. '<img src="…" alt="…">'
+ * @param {string} name Attribute name
+ * @returns {string|null}
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    if (!match) return null;
+    return decodeEntities(match[1] ?? match[2] ?? '');
+}
+
+/**
+ * @brief Rewrite a Nitter media proxy URL to the original Twitter CDN URL.
+ *
+ * Handles "/pic/<encoded path>", "/pic/orig/<encoded path>" and base64 "/pic/enc/<data>"
+ * forms. URLs that are not Nitter proxy URLs are returned unchanged.
+ *
+ * Examples:
+ *   https://nitter.net/pic/media%2FAbC.jpg            -> https://pbs.twimg.com/media/AbC.jpg
+ *   https://nitter.net/pic/video.twimg.com%2Ftweet_video%2FX.mp4 -> https://video.twimg.com/tweet_video/X.mp4
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function rewriteNitterMediaUrl(url) {
+    if (!url) return url;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+
+    const match = parsed.pathname.match(/^\/pic\/(.+)$/);
+    if (!match) return url;
+
+    let rest = match[1];
+    let orig = false;
+
+    if (rest.startsWith('orig/')) {
+        orig = true;
+        rest = rest.slice('orig/'.length);
+    }
+
+    let path;
+    if (rest.startsWith('enc/')) {
+        try {
+            path = Buffer.from(decodeURIComponent(rest.slice('enc/'.length)), 'base64').toString('utf8');
+        } catch {
+            return url;
+        }
+    } else {
+        try {
+            path = decodeURIComponent(rest);
+        } catch {
+            return url;
+        }
+    }
+
+    path = path.replace(/^https?:\/\//, '').replace(/^\/+/, '');
+
+    const rewritten = /^[a-z0-9.-]+\.twimg\.com\//i.test(path)
+        ? `https://${path}`
+        : `https://pbs.twimg.com/${path}`;
+
+    return orig && !rewritten.includes('?') ? `${rewritten}?name=orig` : rewritten;
+}
+
+/**
+ * @brief Extract media attachments from a Nitter RSS item's content HTML.
+ *
+ * Photos come from <img> tags. Video and GIF thumbnails are recognized by their Twitter
+ * CDN path, and <video>/<source> tags provide direct video URLs when present.
+ *
+ * @param {any} item RSS item
+ * @returns {TweetMedia[]}
+ */
+function extractMedia(item) {
+    const html = typeof item?.content === 'string' ? item.content : '';
+    if (!html) return [];
+
+    /** @type {TweetMedia[]} */
+    const media = [];
+    const seen = new Set();
+
+    for (const [tag] of html.matchAll(/<img\b[^>]*>/gi)) {
+        const src = getAttribute(tag, 'src');
+        if (!src) continue;
+
+        const url = rewriteNitterMediaUrl(src);
+        if (seen.has(url)) continue;
+        seen.add(url);
+
+        let type = 'photo';
+        if (/(amplify_video_thumb|ext_tw_video_thumb)\//.test(url)) type = 'video';
+        else if (/tweet_video_thumb\//.test(url)) type = 'gif';
+        else if (!/\/media\//.test(url)) continue; // avatars, emoji, card images
+
+        media.push({ type, url, videoUrl: null, alt: (getAttribute(tag, 'alt') || '').trim() });
+    }
+
+    for (const [tag] of html.matchAll(/<(?:video|source)\b[^>]*>/gi)) {
+        const src = getAttribute(tag, 'src');
+        if (!src) continue;
+
+        const videoUrl = rewriteNitterMediaUrl(src);
+        if (seen.has(videoUrl)) continue;
+        seen.add(videoUrl);
+
+        const poster = getAttribute(tag, 'poster');
+        const thumb = media.find((m) => m.type !== 'photo' && !m.videoUrl);
+
+        if (thumb) {
+            thumb.videoUrl = videoUrl;
+        } else {
+            media.push({
+                type: /tweet_video\//.test(videoUrl) ? 'gif' : 'video',
+                url: poster ? rewriteNitterMediaUrl(poster) : '',
+                videoUrl,
+                alt: '',
+            });
+        }
+    }
+
+    return media;
+}
+
+/**
+ * Most attachments taken from a generic feed item (Discord shows up to 4 gallery images).
+ */
+const FEED_MEDIA_MAX = 4;
+
+/**
+ * @brief Extract media from a generic RSS/Atom item.
+ *
+ * Sources, in order: image/video enclosures, Media RSS thumbnails (YouTube puts the video
+ * thumbnail in <media:group>), then absolute <img> URLs in the item HTML.
+ *
+ * @param {any} item RSS item parsed with the "mediaGroup" custom field
+ * @returns {TweetMedia[]}
+ */
+function extractFeedMedia(item) {
+    /** @type {TweetMedia[]} */
+    const media = [];
+    const seen = new Set();
+
+    const add = (entry) => {
+        const key = entry.videoUrl || entry.url;
+        if (!key || seen.has(key) || media.length >= FEED_MEDIA_MAX) return;
+        seen.add(key);
+        media.push(entry);
+    };
+
+    const enclosure = item?.enclosure;
+    if (enclosure?.url && /^image\//i.test(enclosure.type || '')) {
+        add({ type: 'photo', url: enclosure.url, videoUrl: null, alt: '' });
+    } else if (enclosure?.url && /^video\//i.test(enclosure.type || '')) {
+        add({ type: 'video', url: '', videoUrl: enclosure.url, alt: '' });
+    }
+
+    const thumbnails = item?.mediaGroup?.['media:thumbnail'] || [];
+    for (const thumb of thumbnails) {
+        const url = thumb?.$?.url;
+        if (url) add({ type: 'video', url, videoUrl: null, alt: '' });
+    }
+
+    const html = typeof item?.content === 'string' ? item.content : '';
+    for (const [tag] of html.matchAll(/<img\b[^>]*>/gi)) {
+        const src = getAttribute(tag, 'src');
+        if (!src || !/^https?:\/\//i.test(src)) continue;
+        add({ type: 'photo', url: src, videoUrl: null, alt: (getAttribute(tag, 'alt') || '').trim() });
+    }
+
+    return media;
+}
+
+module.exports = {
+    extractMedia,
+    extractFeedMedia,
+    rewriteNitterMediaUrl,
+};
@@ -0,0 +1,361 @@
+/**
+ * @file migrations.js
+ *
+ * @brief Versioned schema migrations for the SQLite database, tracked with PRAGMA user_version.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { log } = require('./logger');
+const { DEFAULT_TARGET_LANG } = require('./languages');
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version Schema version after this step runs
+ * @property {string} name Short description for the log
+ * @property {(db: import('better-sqlite3').Database) => void} up Applies the step
+ */
+
+/**
+ * Ordered migration steps. Append new steps with the next version number; never edit a
+ * step that has shipped.
+ *
+ * @type {Migration[]}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS guild_config (
+                    guild_id TEXT PRIMARY KEY,
+                    post_channel_id TEXT NOT NULL,
+                    ping_role TEXT NOT NULL DEFAULT 'everyone',
+                    target_lang TEXT NOT NULL DEFAULT '${DEFAULT_TARGET_LANG}',
+                    post_retweets INTEGER NOT NULL DEFAULT 1,
+                    post_replies INTEGER NOT NULL DEFAULT 1,
+                    post_quotes INTEGER NOT NULL DEFAULT 1
+                );
+
+                CREATE TABLE IF NOT EXISTS tracked_account (
+                    guild_id TEXT NOT NULL,
+                    username TEXT NOT NULL,
+                    channel_id TEXT,
+                    ping_role TEXT,
+                    post_retweets INTEGER,
+                    post_replies INTEGER,
+                    post_quotes INTEGER,
+                    fast_poll INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (guild_id, username),
+                    FOREIGN KEY (guild_id)
+                        REFERENCES guild_config(guild_id)
+                        ON DELETE CASCADE
+                );
+
+                CREATE TABLE IF NOT EXISTS feed_cursor (
+                    username TEXT PRIMARY KEY COLLATE NOCASE,
+                    last_seen_id TEXT NOT NULL,
+                    updated_at INTEGER NOT NULL
+                );
+
+                CREATE TABLE IF NOT EXISTS translation (
+                    tweet_id TEXT NOT NULL,
+                    source_hash TEXT NOT NULL,
+                    target_lang TEXT NOT NULL COLLATE NOCASE,
+                    translated_text TEXT NOT NULL,
+                    provider TEXT NOT NULL DEFAULT 'deepl',
+                    created_at INTEGER NOT NULL,
+                    PRIMARY KEY (tweet_id, source_hash, target_lang)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_translation_created_at
+                    ON translation(created_at);
+
+                CREATE TABLE IF NOT EXISTS account_filter (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    guild_id TEXT NOT NULL,
+                    username TEXT NOT NULL,
+                    mode TEXT NOT NULL CHECK (mode IN ('include', 'exclude')),
+                    kind TEXT NOT NULL CHECK (kind IN ('keyword', 'hashtag', 'regex')),
+                    pattern TEXT NOT NULL,
+                    field TEXT NOT NULL DEFAULT 'original' CHECK (field IN ('original', 'translated', 'any')),
+                    FOREIGN KEY (guild_id, username)
+                        REFERENCES tracked_account(guild_id, username)
+                        ON DELETE CASCADE
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_account_filter_account
+                    ON account_filter(guild_id, username);
+            `);
+
+            // Databases created before migrations existed may be missing later columns
+            const guildConfigColumns = db.pragma('table_info(guild_config)').map((col) => col.name);
+            if (!guildConfigColumns.includes('target_lang')) {
+                db.exec(`ALTER TABLE guild_config ADD COLUMN target_lang TEXT NOT NULL DEFAULT '${DEFAULT_TARGET_LANG}'`);
+            }
+            for (const col of ['post_retweets', 'post_replies', 'post_quotes']) {
+                if (!guildConfigColumns.includes(col)) {
+                    db.exec(`ALTER TABLE guild_config ADD COLUMN ${col} INTEGER NOT NULL DEFAULT 1`);
+                }
+            }
+
+            const trackedAccountColumns = db.pragma('table_info(tracked_account)').map((col) => col.name);
+            if (!trackedAccountColumns.includes('channel_id')) {
+                db.exec(`ALTER TABLE tracked_account ADD COLUMN channel_id TEXT`);
+            }
+            if (!trackedAccountColumns.includes('ping_role')) {
+                db.exec(`ALTER TABLE tracked_account ADD COLUMN ping_role TEXT`);
+            }
+            for (const col of ['post_retweets', 'post_replies', 'post_quotes']) {
+                if (!trackedAccountColumns.includes(col)) {
+                    db.exec(`ALTER TABLE tracked_account ADD COLUMN ${col} INTEGER`);
+                }
+            }
+            if (!trackedAccountColumns.includes('fast_poll')) {
+                db.exec(`ALTER TABLE tracked_account ADD COLUMN fast_poll INTEGER NOT NULL DEFAULT 0`);
+            }
+
+            const translationColumns = db.pragma('table_info(translation)').map((col) => col.name);
+            if (!translationColumns.includes('provider')) {
+                db.exec(`ALTER TABLE translation ADD COLUMN provider TEXT NOT NULL DEFAULT 'deepl'`);
+            }
+        },
+    },
+    {
+        version: 2,
+        name: 'DeepL character budget',
+        up(db) {
+            db.exec(`
+                ALTER TABLE guild_config ADD COLUMN admin_channel_id TEXT;
+
+                CREATE TABLE deepl_usage (
+                    period TEXT NOT NULL,
+                    guild_id TEXT NOT NULL,
+                    username TEXT NOT NULL COLLATE NOCASE,
+                    characters INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (period, guild_id, username)
+                );
+
+                CREATE TABLE deepl_budget_alert (
+                    period TEXT NOT NULL,
+                    level INTEGER NOT NULL,
+                    sent_at INTEGER NOT NULL,
+                    PRIMARY KEY (period, level)
+                );
+            `);
+        },
+    },
+    {
+        version: 3,
+        name: 'post templates',
+        up(db) {
+            db.exec(`
+                CREATE TABLE guild_template (
+                    guild_id TEXT PRIMARY KEY,
+                    color INTEGER,
+                    title TEXT,
+                    description TEXT,
+                    footer TEXT,
+                    layout TEXT,
+                    show_original INTEGER,
+                    show_disclaimer INTEGER,
+                    show_link INTEGER,
+                    FOREIGN KEY (guild_id)
+                        REFERENCES guild_config(guild_id)
+                        ON DELETE CASCADE
+                );
+            `);
+        },
+    },
+    {
+        version: 4,
+        name: 'webhook delivery mode',
+        up(db) {
+            db.exec(`
+                ALTER TABLE guild_config ADD COLUMN delivery_mode TEXT NOT NULL DEFAULT 'bot';
+            `);
+        },
+    },
+    {
+        version: 5,
+        name: 'feed source type',
+        up(db) {
+            db.exec(`
+                ALTER TABLE tracked_account ADD COLUMN source_type TEXT NOT NULL DEFAULT 'nitter';
+                ALTER TABLE tracked_account ADD COLUMN source_url TEXT;
+
+                CREATE TABLE seen_item (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    source_key TEXT NOT NULL,
+                    item_id TEXT NOT NULL,
+                    seen_at INTEGER NOT NULL,
+                    UNIQUE (source_key, item_id)
+                );
+            `);
+        },
+    },
+    {
+        version: 6,
+        name: 'DeepL glossaries',
+        up(db) {
+            db.exec(`
+                CREATE TABLE glossary_term (
+                    guild_id TEXT NOT NULL,
+                    source_lang TEXT NOT NULL,
+                    target_lang TEXT NOT NULL,
+                    source_term TEXT NOT NULL,
+                    target_term TEXT NOT NULL,
+                    PRIMARY KEY (guild_id, source_lang, target_lang, source_term),
+                    FOREIGN KEY (guild_id)
+                        REFERENCES guild_config(guild_id)
+                        ON DELETE CASCADE
+                );
+
+                CREATE TABLE deepl_glossary (
+                    guild_id TEXT NOT NULL,
+                    source_lang TEXT NOT NULL,
+                    target_lang TEXT NOT NULL,
+                    glossary_id TEXT NOT NULL,
+                    synced_at INTEGER NOT NULL,
+                    PRIMARY KEY (guild_id, source_lang, target_lang),
+                    FOREIGN KEY (guild_id)
+                        REFERENCES guild_config(guild_id)
+                        ON DELETE CASCADE
+                );
+            `);
+        },
+    },
+    {
+        version: 7,
+        name: 'translation source language',
+        up(db) {
+            db.exec(`
+                ALTER TABLE translation ADD COLUMN source_lang TEXT;
+            `);
+        },
+    },
+    {
+        version: 8,
+        name: 'delivered posts',
+        up(db) {
+            db.exec(`
+                CREATE TABLE delivered_post (
+                    message_id TEXT PRIMARY KEY,
+                    guild_id TEXT NOT NULL,
+                    channel_id TEXT NOT NULL,
+                    page_message_ids TEXT NOT NULL DEFAULT '[]',
+                    tweet_id TEXT NOT NULL,
+                    tweet_json TEXT NOT NULL,
+                    view TEXT NOT NULL DEFAULT 'translated',
+                    posted_at INTEGER NOT NULL,
+                    FOREIGN KEY (guild_id)
+                        REFERENCES guild_config(guild_id)
+                        ON DELETE CASCADE
+                );
+
+                CREATE INDEX delivered_post_guild ON delivered_post (guild_id, posted_at);
+            `);
+        },
+    },
+    {
+        version: 9,
+        name: 'translation corrections',
+        up(db) {
+            db.exec(`
+                ALTER TABLE guild_config ADD COLUMN translator_role_id TEXT;
+
+                CREATE TABLE translation_correction (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    guild_id TEXT NOT NULL,
+                    channel_id TEXT NOT NULL,
+                    message_id TEXT NOT NULL,
+                    tweet_id TEXT NOT NULL,
+                    username TEXT NOT NULL,
+                    editor_id TEXT NOT NULL,
+                    previous_text TEXT NOT NULL,
+                    corrected_text TEXT NOT NULL,
+                    created_at INTEGER NOT NULL,
+                    FOREIGN KEY (guild_id)
+                        REFERENCES guild_config(guild_id)
+                        ON DELETE CASCADE
+                );
+
+                CREATE INDEX translation_correction_account ON translation_correction (guild_id, username, created_at);
+            `);
+        },
+    },
+];
+
+/**
+ * Schema version this build expects.
+ *
+ * @constant {number} SCHEMA_VERSION
+ */
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * @brief Copy the database file before upgrading it.
+ *
+ * Uses VACUUM INTO so the copy is consistent even while the database is open.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} dbFile Path of the database file
+ * @param {number} fromVersion Current schema version
+ * @returns {string} Path of the backup file
+ */
+function backupDatabase(db, dbFile, fromVersion) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFile = `${dbFile}.v${fromVersion}-${stamp}.bak`;
+    db.prepare('VACUUM INTO ?').run(backupFile);
+    return backupFile;
+}
+
+/**
+ * @brief Apply every pending migration, each in its own transaction.
+ *
+ * Databases with user tables are backed up before the first pending step runs.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} dbFile Path of the database file
+ *
+ * @throws {Error} The database was written by a newer build, or a migration failed
+ */
+function runMigrations(db, dbFile) {
+    const current = db.pragma('user_version', { simple: true });
+
+    if (current > SCHEMA_VERSION) {
+        throw new Error(
+            `Database schema version ${current} is newer than this build supports (${SCHEMA_VERSION}). ` +
+            'Refusing to start; update the bot or restore a backup.'
+        );
+    }
+
+    const pending = MIGRATIONS.filter((m) => m.version > current);
+    if (pending.length === 0) return;
+
+    const hasTables = db.prepare(`
+        SELECT COUNT(*) AS n FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    `).get().n > 0;
+
+    if (hasTables && fs.existsSync(dbFile)) {
+        const backupFile = backupDatabase(db, dbFile, current);
+        log(`[DB] backed up schema v${current} database to ${backupFile}`);
+    }
+
+    for (const m of pending) {
+        db.transaction(() => {
+            m.up(db);
+            db.pragma(`user_version = ${m.version}`);
+        })();
+
+        log(`[DB] migrated schema to v${m.version} (${m.name})`);
+    }
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    runMigrations,
+};
@@ -0,0 +1,127 @@
+/**
+ * @file nitter.js
+ *
+ * @brief Nitter instance pool with per-instance health tracking and cooldown-based failover.
+ */
+
+'use strict';
+
+const { log } = require('./logger');
+
+/**
+ * Nitter base URLs used for RSS polling, from the comma-separated `NITTER_BASE`.
+ *
+ * Instances are preferred in the configured order; failing ones are skipped until their
+ * cooldown expires.
+ *
+ * @constant {string[]} NITTER_INSTANCES
+ */
+const NITTER_INSTANCES = (process.env.NITTER_BASE || '')
+    .split(',')
+    .map((base) => base.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+/**
+ * How long a failing instance is skipped before it is tried again, in milliseconds.
+ *
+ * Doubles with every consecutive failure, up to 12 times the base cooldown.
+ *
+ * @constant {number} NITTER_COOLDOWN_MS
+ */
+const NITTER_COOLDOWN_MS = Number(process.env.NITTER_COOLDOWN_MS || 5 * 60_000);
+
+/**
+ * @typedef {Object} NitterInstanceHealth
+ * @property {string} base Instance base URL
+ * @property {number} consecutiveFailures Failures since the last success
+ * @property {number} cooldownUntil Timestamp (ms) until which the instance is skipped; 0 if healthy
+ * @property {string|null} lastError Reason for the most recent failure
+ * @property {number|null} lastFailureAt Timestamp (ms) of the most recent failure
+ * @property {number|null} lastSuccessAt Timestamp (ms) of the most recent success
+ */
+
+/** @type {Map<string, NitterInstanceHealth>} */
+const g_health = new Map(NITTER_INSTANCES.map((base) => [base, {
+    base,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null,
+}]));
+
+/**
+ * @brief Order instances for the next request.
+ *
+ * Healthy instances come first in configured order. Instances in cooldown follow, soonest
+ * to recover first, so a request is still attempted when every instance is down.
+ *
+ * @returns {string[]}
+ */
+function getInstanceOrder() {
+    const now = Date.now();
+    const all = [...g_health.values()];
+
+    const healthy = all.filter((h) => h.cooldownUntil <= now);
+    const cooling = all
+        .filter((h) => h.cooldownUntil > now)
+        .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+    return [...healthy, ...cooling].map((h) => h.base);
+}
+
+/**
+ * @brief Record a successful request to an instance.
+ *
+ * @param {string} base
+ */
+function markInstanceSuccess(base) {
+    const h = g_health.get(base);
+    if (!h) return;
+
+    if (h.consecutiveFailures > 0) {
+        log(`[NITTER] instance ${base} recovered after ${h.consecutiveFailures} failure(s)`);
+    }
+
+    h.consecutiveFailures = 0;
+    h.cooldownUntil = 0;
+    h.lastSuccessAt = Date.now();
+}
+
+/**
+ * @brief Record a failed request (timeout, HTTP error, empty feed) and put the instance in cooldown.
+ *
+ * @param {string} base
+ * @param {string} reason
+ */
+function markInstanceFailure(base, reason) {
+    const h = g_health.get(base);
+    if (!h) return;
+
+    const now = Date.now();
+    h.consecutiveFailures++;
+    h.lastError = reason;
+    h.lastFailureAt = now;
+
+    const cooldown = Math.min(NITTER_COOLDOWN_MS * 2 ** (h.consecutiveFailures - 1), NITTER_COOLDOWN_MS * 12);
+    h.cooldownUntil = now + cooldown;
+
+    log(`[NITTER] instance ${base} failed (${reason}); cooling down for ${Math.round(cooldown / 1000)}s`);
+}
+
+/**
+ * @brief Snapshot of every instance's health, in configured order.
+ *
+ * @returns {NitterInstanceHealth[]}
+ */
+function getNitterHealth() {
+    return [...g_health.values()].map((h) => ({ ...h }));
+}
+
+module.exports = {
+    NITTER_INSTANCES,
+    getInstanceOrder,
+    markInstanceSuccess,
+    markInstanceFailure,
+    getNitterHealth,
+};
@@ -0,0 +1,357 @@
+/**
+ * @file post_actions.js
+ *
+ * @brief Buttons under delivered posts: retranslate, report a translation and show the original only.
+ *
+ * Every delivered post is recorded with the messages it was sent as and the translated
+ * tweet it shows, so the buttons can render it again later with the guild's template.
+ */
+
+'use strict';
+
+const { ButtonStyle, ComponentType } = require('discord.js');
+const { log } = require('./logger');
+const { getEmbedLabels } = require('./languages');
+const { TRANSLATOR_CHAIN, getTranslator } = require('./translators');
+const { translateTweet, applyTranslation } = require('./rss');
+const { resolveTemplate, buildTweetMessages } = require('./templates');
+const { sendAsAccount, editAccountMessage } = require('./webhooks');
+const { formatSourceName } = require('./sources');
+const {
+    getGuildTemplate,
+    getGuildDeliveryMode,
+    recordDeliveredPost,
+    getDeliveredPost,
+    updateDeliveredPost,
+} = require('./db');
+
+/**
+ * Custom IDs of the post buttons, the retranslate provider menu, and the report and
+ * correction modals. The menu and the modals carry the post's message ID after a colon.
+ */
+const POST_BUTTON_RETRANSLATE = 'post:retranslate';
+const POST_BUTTON_REPORT = 'post:report';
+const POST_BUTTON_TOGGLE = 'post:toggle';
+const RETRANSLATE_MENU = 'post:retranslate-with';
+const REPORT_MODAL = 'post:report-modal';
+const CORRECT_MODAL = 'post:correct-modal';
+
+/**
+ * Most thread parts a correction form can hold (Discord allows 5 text inputs per modal).
+ *
+ * @constant {number} CORRECT_MAX_PARTS
+ */
+const CORRECT_MAX_PARTS = 5;
+
+/**
+ * @brief The row of buttons shown under a post.
+ *
+ * Posts already in the target language have no translation to hide, so they get no toggle.
+ *
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {'translated'|'original'} view What the post currently shows
+ * @returns {Object} Action row component
+ */
+function buildPostActionRow(tweet, view) {
+    const labels = getEmbedLabels(tweet.targetLang);
+    const buttons = [
+        { type: ComponentType.Button, style: ButtonStyle.Secondary, custom_id: POST_BUTTON_RETRANSLATE, label: labels.retranslate },
+        { type: ComponentType.Button, style: ButtonStyle.Secondary, custom_id: POST_BUTTON_REPORT, label: labels.reportTranslation },
+    ];
+
+    if (!tweet.sameLanguage) {
+        buttons.push({
+            type: ComponentType.Button,
+            style: ButtonStyle.Secondary,
+            custom_id: POST_BUTTON_TOGGLE,
+            label: view === 'original' ? labels.showTranslation : labels.originalOnly,
+        });
+    }
+
+    return { type: ComponentType.ActionRow, components: buttons };
+}
+
+/**
+ * @brief Put the post buttons under the first of a post's messages.
+ *
+ * @param {{ content?: string, embeds: Object[] }[]} messages Messages from buildTweetMessages
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {'translated'|'original'} [view='translated']
+ * @returns {{ content?: string, embeds: Object[], components?: Object[] }[]}
+ */
+function withPostActions(messages, tweet, view = 'translated') {
+    return messages.map((m, i) => (i === 0 ? { ...m, components: [buildPostActionRow(tweet, view)] } : m));
+}
+
+/**
+ * @brief Send a post's messages in order.
+ *
+ * In webhook delivery mode the messages are sent under the tracked account's display name
+ * and avatar, falling back to bot messages once the webhook cannot be used.
+ *
+ * @param {import('discord.js').GuildTextBasedChannel} channel
+ * @param {string} guildId
+ * @param {{ content?: string, embeds: Object[], components?: Object[] }[]} messages
+ * @param {import('./rss').RssTweet} tweet Translated tweet the messages show
+ * @returns {Promise<import('discord.js').Message[]>} The sent messages, in order
+ *
+ * @throws {DiscordAPIError} A bot message could not be sent
+ */
+async function sendPostMessages(channel, guildId, messages, tweet) {
+    const identity = {
+        name: tweet.profile?.displayName || formatSourceName({ type: tweet.sourceType, name: tweet.username }),
+        avatarUrl: tweet.profile?.avatarUrl || null,
+    };
+    let useWebhook = getGuildDeliveryMode(guildId) === 'webhook';
+    const sent = [];
+
+    for (const message of messages) {
+        const viaWebhook = useWebhook ? await sendAsAccount(channel, message, identity) : null;
+        if (viaWebhook) {
+            sent.push(viaWebhook);
+            continue;
+        }
+        useWebhook = false;
+        sent.push(await channel.send(message));
+    }
+
+    return sent;
+}
+
+/**
+ * @brief Parse a stored post, restoring its dates.
+ *
+ * @param {string} json
+ * @returns {import('./rss').RssTweet}
+ */
+function parsePost(json) {
+    const revive = (t) => ({ ...t, publishedAt: t.publishedAt ? new Date(t.publishedAt) : null });
+    const tweet = revive(JSON.parse(json));
+    return tweet.thread ? { ...tweet, thread: tweet.thread.map(revive) } : tweet;
+}
+
+/**
+ * @brief Remember a delivered post so its buttons keep working.
+ *
+ * @param {string} guildId
+ * @param {string} channelId
+ * @param {import('discord.js').Message[]} sent Messages the post was sent as, in order
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ */
+function rememberPost(guildId, channelId, sent, tweet) {
+    if (sent.length === 0) return;
+
+    recordDeliveredPost(guildId, channelId, sent[0].id, sent.slice(1).map((m) => m.id), tweet.id, JSON.stringify(tweet));
+}
+
+/**
+ * @brief Look up the post shown by a message carrying post buttons.
+ *
+ * @param {string} messageId
+ * @returns {{ record: ReturnType<typeof getDeliveredPost>, tweet: import('./rss').RssTweet }|null} Null if the post is not (or no longer) remembered
+ */
+function loadPost(messageId) {
+    const record = getDeliveredPost(messageId);
+    return record ? { record, tweet: parsePost(record.tweet_json) } : null;
+}
+
+/**
+ * @brief Edit one of a post's messages, through the channel webhook if it was sent by it.
+ *
+ * @param {import('discord.js').GuildTextBasedChannel} channel
+ * @param {string} messageId
+ * @param {{ embeds?: Object[], components?: Object[] }|null} message New contents, or null to delete the message
+ */
+async function editPostMessage(channel, messageId, message) {
+    const existing = await channel.messages.fetch(messageId);
+
+    if (!message) {
+        await existing.delete();
+    } else if (existing.webhookId) {
+        await editAccountMessage(channel, messageId, message);
+    } else {
+        await existing.edit(message);
+    }
+}
+
+/**
+ * @brief Render a post in a view with the guild's current template, without ping or buttons.
+ *
+ * @param {string} guildId
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {'translated'|'original'} view
+ * @returns {{ embeds: Object[] }[]} Messages, in order
+ */
+function renderPost(guildId, tweet, view) {
+    const template = resolveTemplate(getGuildTemplate(guildId));
+    return buildTweetMessages(template, { ...tweet, originalOnly: view === 'original' })
+        .map(({ content, ...rest }) => rest);
+}
+
+/**
+ * @brief Show a post again, with a new translation or view, and remember what it shows.
+ *
+ * The post is rendered with the guild's current template. Its ping and link stay as sent.
+ * A thread needing fewer messages than before has its spare follow-ups deleted; one needing
+ * more is cut off at the messages it already has.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {NonNullable<ReturnType<typeof getDeliveredPost>>} record
+ * @param {import('./rss').RssTweet} tweet Translated tweet to show
+ * @param {'translated'|'original'} view
+ * @returns {Promise<Object[]>} Messages cut off for lack of messages to edit
+ *
+ * @throws {DiscordAPIError} The channel or a message is gone, or an edit failed
+ */
+async function showPost(client, record, tweet, view) {
+    const channel = await client.channels.fetch(record.channel_id);
+    const messages = withPostActions(renderPost(record.guild_id, tweet, view), tweet, view);
+    const ids = [record.message_id, ...record.page_message_ids];
+
+    if (messages.length > ids.length) {
+        log(`[POST] message=${record.message_id} now needs ${messages.length} messages; showing the first ${ids.length}`);
+    }
+
+    for (let i = 0; i < ids.length; i++) {
+        await editPostMessage(channel, ids[i], messages[i] || null);
+    }
+
+    updateDeliveredPost(record.message_id, JSON.stringify(tweet), view, ids.slice(1, messages.length));
+    return messages.slice(ids.length);
+}
+
+/**
+ * @brief Show a thread that grew after it was delivered in its post.
+ *
+ * The post keeps its view and ping. Pages that no longer fit in its messages are sent as
+ * new messages after it.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {NonNullable<ReturnType<typeof getDeliveredPost>>} record
+ * @param {import('./rss').RssTweet} tweet Translated tweet with every part of the thread
+ * @returns {Promise<void>}
+ *
+ * @throws {DiscordAPIError} The channel or a message is gone, or an edit or send failed
+ */
+async function extendPost(client, record, tweet) {
+    const extra = await showPost(client, record, tweet, record.view);
+    if (extra.length === 0) return;
+
+    const channel = await client.channels.fetch(record.channel_id);
+    const sent = await sendPostMessages(channel, record.guild_id, extra, tweet);
+    updateDeliveredPost(record.message_id, JSON.stringify(tweet), record.view, [...record.page_message_ids, ...sent.map((m) => m.id)]);
+}
+
+/**
+ * @brief Providers a post can be retranslated with, excluding the one that made its current translation.
+ *
+ * DeepL is offered with its default, more formal and less formal tone.
+ *
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @returns {{ value: string, label: string }[]} Choices; the value is "provider" or "provider:formality"
+ */
+function retranslateChoices(tweet) {
+    const current = tweet.translationChoice || tweet.translationProvider;
+    const choices = [];
+
+    for (const name of TRANSLATOR_CHAIN) {
+        const translator = getTranslator(name);
+        if (!translator?.configured || name === 'passthrough') continue;
+
+        choices.push({ value: name, label: translator.label });
+        if (name === 'deepl') {
+            choices.push({ value: 'deepl:more', label: 'DeepL (more formal)' });
+            choices.push({ value: 'deepl:less', label: 'DeepL (less formal)' });
+        }
+    }
+
+    return choices.filter((c) => c.value !== current);
+}
+
+/**
+ * @brief Translate a post again with a chosen provider.
+ *
+ * DeepL characters are charged to the post's guild and account as usual.
+ *
+ * @param {NonNullable<ReturnType<typeof getDeliveredPost>>} record
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {string} choice Value of one of retranslateChoices
+ * @returns {Promise<import('./rss').RssTweet|null>} The retranslated tweet, or null if the provider produced no translation
+ */
+async function retranslatePost(record, tweet, choice) {
+    const [provider, formality] = choice.split(':');
+    const translation = await translateTweet(tweet, {
+        targetLang: tweet.targetLang,
+        tweetId: tweet.id,
+        guildId: record.guild_id,
+        username: tweet.username,
+        provider,
+        ...(formality ? { formality } : {}),
+    });
+
+    if (translation.provider === 'passthrough') return null;
+
+    log(`[POST] message=${record.message_id} retranslated with ${choice}`);
+    return {
+        ...applyTranslation(tweet, tweet.username, tweet.targetLang, translation),
+        translationChoice: choice,
+        correctedBy: null,
+    };
+}
+
+/**
+ * @brief The translated texts a correction form starts from: one per thread part, or one for a post.
+ *
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @returns {string[]}
+ */
+function correctableTexts(tweet) {
+    return tweet.thread
+        ? tweet.thread.map((p) => p.translatedText || '')
+        : [tweet.translatedText || ''];
+}
+
+/**
+ * @brief Replace a post's translation with a member's corrected wording.
+ *
+ * Parts the member left empty keep their current translation.
+ *
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {string[]} texts Corrected texts, as returned by correctableTexts
+ * @param {string} editorName Display name credited in the embed
+ * @returns {import('./rss').RssTweet}
+ */
+function applyCorrection(tweet, texts, editorName) {
+    const corrected = correctableTexts(tweet).map((previous, i) => texts[i] || previous);
+
+    return {
+        ...tweet,
+        translatedText: corrected.filter(Boolean).join('\n\n'),
+        sameLanguage: false,
+        correctedBy: editorName,
+        ...(tweet.thread ? {
+            thread: tweet.thread.map((p, i) => ({ ...p, translatedText: corrected[i] })),
+        } : {}),
+    };
+}
+
+module.exports = {
+    POST_BUTTON_RETRANSLATE,
+    POST_BUTTON_REPORT,
+    POST_BUTTON_TOGGLE,
+    RETRANSLATE_MENU,
+    REPORT_MODAL,
+    CORRECT_MODAL,
+    CORRECT_MAX_PARTS,
+    withPostActions,
+    sendPostMessages,
+    rememberPost,
+    loadPost,
+    renderPost,
+    showPost,
+    extendPost,
+    retranslateChoices,
+    retranslatePost,
+    correctableTexts,
+    applyCorrection,
+};
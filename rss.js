@@ -1,282 +1,1507 @@
-/**
- * @file rss.js
- *
- * @brief Poll Nitter RSS to detect new Tweets, then translate to English with DeepL API.
- */
-
-'use strict';
-
-const deepl = require('deepl-node');
-const Parser = require('rss-parser');
-const { log, error } = require('./logger');
-
-/**
- * Base URL for the Nitter instance used for RSS polling.
- *
- * The RSS feed URL is constructed as: `${NITTER_BASE}/{username}/rss`.
- *
- * @constant {string} NITTER_BASE
- */
-const NITTER_BASE = process.env.NITTER_BASE;
-
-const parser = new Parser();
-
-/**
- * @typedef {Object} RssTweet
- * @property {string} username Twitter/X username (no @)
- * @property {string} url Canonical tweet URL
- * @property {string} originalText Original-language tweet text
- * @property {string} englishText English translation (or same text if no translation performed)
- * @property {Date|null} publishedAt Tweet timestamp if available
- */
-
-const deeplAuthKey = process.env.DEEPL_AUTH_KEY || '';
-const deeplTranslator = deeplAuthKey ? new deepl.Translator(deeplAuthKey) : null;
-
-/** @type {Map<string,string|null>} */
-const g_lastSeenTweetIdByUser = new Map();
-
-/**
- * @brief Build a Nitter RSS feed URL for a username.
- *
- * @param {string} username
- * @returns {string}
- */
-function buildNitterRssUrl(username) {
-    const base = (NITTER_BASE || '').replace(/\/+$/, '');
-    return `${base}/${encodeURIComponent(username)}/rss`;
-}
-
-/**
- * @brief Extract original tweet text from a Nitter RSS item title.
- *
- * Nitter item.title commonly looks like:
- *   "User Name (@handle): tweet text here"
- *
- * @param {any} item
- * @returns {string}
- */
-function extractOriginalText(item) {
-    const title = (item && typeof item.title === 'string') ? item.title.trim() : '';
-    if (!title) return '';
-
-    const idx = title.indexOf('): ');
-    if (idx !== -1) return title.slice(idx + 3).trim();
-
-    const idx2 = title.indexOf(': ');
-    if (idx2 !== -1) return title.slice(idx2 + 2).trim();
-
-    return title;
-}
-
-/**
- * @brief Extract tweet ID from a URL containing "/status/<digits>".
- *
- * @param {string} link
- * @returns {string|null}
- */
-function extractTweetIdFromLink(link) {
-    if (!link || typeof link !== 'string') return null;
-    const match = link.match(/\/status\/(\d+)/);
-    return match ? match[1] : null;
-}
-
-/**
- * @brief Choose the "latest" RSS item by numerically largest status ID.
- *
- * @param {any[]} items
- * @returns {{ item: any, id: string }|null}
- */
-function pickLatestByStatusId(items) {
-    let bestItem = null;
-    let bestId = null;
-
-    for (const it of (items || [])) {
-        const id = extractTweetIdFromLink(it?.link);
-        if (!id) continue;
-
-        if (!bestId || BigInt(id) > BigInt(bestId)) {
-            bestId = id;
-            bestItem = it;
-        }
-    }
-
-    if (!bestItem || !bestId) return null;
-    return { item: bestItem, id: bestId };
-}
-
-/**
- * @brief Translate text to English using DeepL (single consolidated function).
- *
- * @param {string} originalText
- * @returns {Promise<string>}
- */
-async function translateToEnglish(originalText) {
-    const text = (originalText || '').trim();
-
-    if (!text) return '';
-    if (/^https?:\/\/\S+$/i.test(text)) return text;
-
-    if (!deeplTranslator) {
-        log('[DEEPL] DEEPL_AUTH_KEY missing; returning original text without translation.');
-        return text;
-    }
-
-    try {
-        const result = await deeplTranslator.translateText(text, null, 'en-US');
-        return result?.text ? result.text : '';
-    } catch (err) {
-        error('[DEEPL] translateText failed; returning original text:', err);
-        return text;
-    }
-}
-
-/**
- * @brief Fetch the latest tweet from a single Nitter RSS feed.
- *
- * @param {string} username
- * @returns {Promise<{ username: string, id: string, url: string, originalText: string, publishedAt: Date|null }|null>}
- */
-async function fetchLatestTweet(username) {
-    const url = buildNitterRssUrl(username);
-    log(`[RSS] fetching @${username} url=${url}`);
-
-    const feed = await parser.parseURL(url);
-    const items = Array.isArray(feed?.items) ? feed.items : [];
-    if (items.length === 0) return null;
-
-    const picked = pickLatestByStatusId(items);
-    if (!picked) return null;
-
-    const originalText = extractOriginalText(picked.item);
-
-    let publishedAt = null;
-    const rawDate = picked.item?.isoDate || picked.item?.pubDate || null;
-    if (rawDate) {
-        const d = new Date(rawDate);
-        publishedAt = Number.isNaN(d.getTime()) ? null : d;
-    }
-
-    return {
-        username,
-        id: picked.id,
-        url: `https://x.com/${username}/status/${picked.id}`,
-        originalText,
-        publishedAt,
-    };
-}
-
-/**
- * @brief Prime last-seen tweet IDs for a set of usernames.
- *
- * @param {string[]} usernames
- * @returns {Promise<void>}
- */
-async function primeLastSeen(usernames) {
-    for (const u of (usernames || [])) {
-        try {
-            const latest = await fetchLatestTweet(u);
-            g_lastSeenTweetIdByUser.set(u, latest ? latest.id : null);
-        } catch (err) {
-            error(`[RSS] prime failed for @${u}:`, err);
-            g_lastSeenTweetIdByUser.set(u, null);
-        }
-    }
-}
-
-/**
- * @brief Poll all usernames once, return the newest unseen tweet (across all users).
- *
- * @param {string[]} usernames
- * @returns {Promise<({ username: string, id: string, url: string, originalText: string, englishText: string, publishedAt: Date|null })|null>}
- */
-async function pollOnce(usernames) {
-    let best = null;
-
-    for (const u of (usernames || [])) {
-        let latest = null;
-
-        try {
-            latest = await fetchLatestTweet(u);
-        } catch (err) {
-            error(`[RSS] fetchLatestTweet failed for @${u}:`, err);
-            continue;
-        }
-
-        if (!latest || !latest.originalText) continue;
-
-        const lastId = g_lastSeenTweetIdByUser.get(u) || null;
-        if (latest.id === lastId) continue;
-
-        g_lastSeenTweetIdByUser.set(u, latest.id);
-
-        if (!best || BigInt(latest.id) > BigInt(best.id)) {
-            best = latest;
-        }
-    }
-
-    if (!best) return null;
-
-    const englishText = await translateToEnglish(best.originalText);
-
-    return {
-        username: best.username,
-        id: best.id,
-        url: best.url,
-        originalText: best.originalText,
-        englishText,
-        publishedAt: best.publishedAt,
-    };
-}
-
-/**
- * @brief Start the RSS polling loop.
- *
- * @param {Object} opts
- * @param {import('discord.js').Client} opts.client
- * @param {number} [opts.intervalMs=60000]
- * @param {() => Promise<{ guildMap: Map<string,string[]>, allUsernames: string[] }>} opts.getGuildState
- * @param {(guildId: string, tweet: RssTweet) => Promise<void>} opts.notifyGuild
- * @returns {NodeJS.Timeout}
- */
-function startRssLoop(opts) {
-    const { client, intervalMs = 60_000, getGuildState, notifyGuild } = opts || {};
-
-    if (!client) throw new Error('startRssLoop: opts.client is required');
-    if (!getGuildState) throw new Error('startRssLoop: opts.getGuildState is required');
-    if (!notifyGuild) throw new Error('startRssLoop: opts.notifyGuild is required');
-
-    log(`RSS loop started. interval=${intervalMs}ms nitterBase=${NITTER_BASE}`);
-
-    (async () => {
-        try {
-            const state = await getGuildState();
-            await primeLastSeen(state.allUsernames);
-        } catch (err) {
-            error('[RSS] initial primeLastSeen failed:', err);
-        }
-    })();
-
-    return setInterval(async () => {
-        try {
-            const state = await getGuildState();
-            const tweet = await pollOnce(state.allUsernames);
-            if (!tweet) return;
-
-            for (const [guildId, list] of state.guildMap) {
-                if ((list || []).includes(tweet.username)) {
-                    await notifyGuild(guildId, tweet);
-                }
-            }
-        } catch (err) {
-            error('[RSS] polling tick failed:', err);
-        }
-    }, intervalMs);
-}
-
-module.exports = {
-    startRssLoop,
-    fetchLatestTweet,
-    translateToEnglish,
-    NITTER_BASE,
-};
+/**
+ * @file rss.js
+ *
+ * @brief Poll Nitter RSS and generic RSS/Atom feeds to detect new posts, then translate to each guild's language through the provider chain.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Parser = require('rss-parser');
+const { log, error } = require('./logger');
+const {
+    getFeedCursor,
+    setFeedCursor,
+    getGuildTargetLang,
+    getCachedTranslation,
+    setCachedTranslation,
+    purgeCachedTranslations,
+    listAccountFilters,
+    isPostKindEnabled,
+    listFastPollSourceKeys,
+    filterUnseenItems,
+    hasSeenItems,
+    markItemsSeen,
+    hasGlossaryTerms,
+} = require('./db');
+const { DEFAULT_TARGET_LANG } = require('./languages');
+const { buildTranslatorChain } = require('./translators');
+const {
+    glossaryLangOf,
+    matchGlossary,
+    ensureGlossary,
+    forgetGlossary,
+    isGlossaryNotFoundError,
+} = require('./glossaries');
+const { needsTranslatedText, passesFilters } = require('./filters');
+const { extractMedia, rewriteNitterMediaUrl } = require('./media');
+const {
+    assertPublicFeedUrl,
+    PUBLIC_FEED_DISPATCHER,
+    extractGenericFeedProfile,
+    orderFeedItems,
+    feedItemToPost,
+} = require('./feeds');
+const { getAuthorFeed, extractBlueskyProfile, blueskyItemToPost } = require('./bluesky');
+const { formatSourceName } = require('./sources');
+const { baseLanguage, detectLanguage } = require('./langdetect');
+const {
+    NITTER_INSTANCES,
+    getInstanceOrder,
+    markInstanceSuccess,
+    markInstanceFailure,
+    getNitterHealth,
+} = require('./nitter');
+const { isDue, recordPoll } = require('./schedule');
+const {
+    isBudgetExhausted,
+    recordDeeplUsage,
+    settleSharedDeeplUsage,
+    getBillingPeriod,
+    markQuotaExceeded,
+    isDeeplQuotaError,
+} = require('./budget');
+
+/**
+ * Timeout for a single Nitter RSS request, in milliseconds.
+ *
+ * @constant {number} NITTER_TIMEOUT_MS
+ */
+const NITTER_TIMEOUT_MS = Number(process.env.NITTER_TIMEOUT_MS || 15_000);
+
+/**
+ * Largest feed response read, in bytes. Bigger responses are abandoned.
+ *
+ * @constant {number} FEED_MAX_BYTES
+ */
+const FEED_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Most redirects followed for a feed restricted to public hosts.
+ *
+ * @constant {number} FEED_MAX_REDIRECTS
+ */
+const FEED_MAX_REDIRECTS = 5;
+
+/**
+ * Maximum number of feeds fetched at the same time during a poll tick.
+ *
+ * @constant {number} RSS_CONCURRENCY
+ */
+const RSS_CONCURRENCY = Math.max(1, Number(process.env.RSS_CONCURRENCY || 4) || 1);
+
+/**
+ * Maximum number of missed tweets delivered per account when catching up after a restart.
+ *
+ * Anything older than the newest `RSS_CATCHUP_MAX` unseen tweets is skipped, so a long
+ * outage does not flood channels. Set to 0 to disable catch-up entirely.
+ *
+ * @constant {number} RSS_CATCHUP_MAX
+ */
+const RSS_CATCHUP_MAX = Math.max(0, Number(process.env.RSS_CATCHUP_MAX ?? 5) || 0);
+
+/**
+ * Longest gap between two parts of a self-reply thread for them to be delivered as one
+ * post, in milliseconds. Set to 0 to deliver every part separately.
+ *
+ * @constant {number} THREAD_WINDOW_MS
+ */
+const THREAD_WINDOW_MS = Math.max(0, Number(process.env.THREAD_WINDOW_MS ?? 15 * 60 * 1000) || 0);
+
+/**
+ * How long cached translations are reused before providers are asked again, in milliseconds.
+ *
+ * Configured in days through `TRANSLATION_CACHE_TTL_DAYS` (default 30).
+ *
+ * @constant {number} TRANSLATION_CACHE_TTL_MS
+ */
+const TRANSLATION_CACHE_TTL_MS = Math.max(0, Number(process.env.TRANSLATION_CACHE_TTL_DAYS ?? 30) || 0) * 24 * 60 * 60 * 1000;
+
+// YouTube and other Media RSS feeds keep thumbnails and descriptions in <media:group>
+const parser = new Parser({
+    customFields: {
+        item: [['media:group', 'mediaGroup']],
+    },
+});
+
+/**
+ * Callback for DeepL budget alerts, set by startRssLoop.
+ *
+ * @type {((alert: { period: string, level: number }) => Promise<void>)|null}
+ */
+let g_notifyBudgetAlert = null;
+
+/**
+ * HTTP cache validators from the last successful response, per feed URL.
+ *
+ * @type {Map<string,{ etag: string|null, lastModified: string|null }>}
+ */
+const g_feedValidators = new Map();
+
+/**
+ * Accounts whose feed came back empty from every instance that answered on their last fetch
+ * (protected, suspended or without posts). Lowercase usernames.
+ *
+ * @type {Set<string>}
+ */
+const g_emptyAccounts = new Set();
+
+/**
+ * Latest delivered post of each source, untranslated, while a self-reply could still
+ * continue it. Keyed by source key.
+ *
+ * @type {Map<string, RssTweet>}
+ */
+const g_openThreads = new Map();
+
+/**
+ * Display name and avatar of each source, from its most recently parsed feed. Keyed by source key.
+ *
+ * @type {Map<string, AccountProfile>}
+ */
+const g_accountProfiles = new Map();
+
+/**
+ * Source tracked by a guild: a Nitter account, generic feed or Bluesky account (see sources.js).
+ *
+ * @typedef {import('./sources').TrackedSource} TrackedSource
+ */
+
+/**
+ * Kinds of posts a feed item can be. Guilds can turn off everything except "post".
+ *
+ * @typedef {'post'|'retweet'|'reply'|'quote'} TweetKind
+ */
+
+/**
+ * @typedef {Object} RssTweet
+ * @property {string} username Twitter/X username or Bluesky handle (no @), or the name a feed is tracked under
+ * @property {string} source Source key (see sources.js)
+ * @property {'nitter'|'bluesky'|'feed'} sourceType Where the post came from
+ * @property {string} id Status ID for Twitter/X posts; at:// URI for Bluesky posts; guid, id or link for feed items
+ * @property {TweetKind} kind Original post, retweet, reply or quote tweet
+ * @property {string} author Handle of the account that wrote the text (differs from username for retweets)
+ * @property {string|null} replyTo Handle being replied to, for replies
+ * @property {string|null} quotedAuthor Handle of the quoted account, for quote tweets
+ * @property {string|null} quotedUrl URL of the quoted tweet, for quote tweets
+ * @property {import('./media').TweetMedia[]} media Attached images and videos
+ * @property {string} url Canonical tweet URL
+ * @property {string} originalText Original-language tweet text
+ * @property {string} translatedText Translation into targetLang (or same text if no translation performed)
+ * @property {string} targetLang DeepL target language code of translatedText
+ * @property {string} translationProvider Name of the provider that produced translatedText ("passthrough" if untranslated)
+ * @property {boolean} [quotaExhausted] Left untranslated because the DeepL budget is used up
+ * @property {string|null} [sourceLang] Base code of the detected source language, if known
+ * @property {boolean} [sameLanguage] Already written in targetLang, so left untranslated
+ * @property {boolean} [originalOnly] Shown without its translation (toggled with the post's "Original only" button)
+ * @property {string} [translationChoice] Provider (and formality) picked with the post's "Retranslate" button, e.g. "deepl:more"
+ * @property {string|null} [correctedBy] Display name of the server member who corrected translatedText by hand
+ * @property {AccountProfile|null} profile Tracked account's display name and avatar, if the feed provides them
+ * @property {Date|null} publishedAt Tweet timestamp if available
+ * @property {RssTweet[]} [thread] Parts of a self-reply thread in order, first post included (see groupThreads)
+ */
+
+const translatorChain = buildTranslatorChain();
+
+let g_translationCacheHits = 0;
+let g_translationCacheMisses = 0;
+
+/**
+ * @typedef {Object} AccountPollStatus
+ * @property {number} lastFetchAt Timestamp (ms) of the most recent fetch attempt
+ * @property {'new'|'unchanged'|'error'} lastResult Outcome of that attempt
+ * @property {string|null} lastError Error message if the attempt failed
+ * @property {number} consecutiveFailures Failed attempts since the last success
+ */
+
+/** @type {Map<string, AccountPollStatus>} Keyed by source key */
+const g_accountStatus = new Map();
+
+/** Timestamp (ms) of the last tick that completed without error, or null. */
+let g_lastTickAt = null;
+
+/**
+ * @brief Build a Nitter RSS feed URL for a username.
+ *
+ * The RSS feed URL is constructed as: `${base}/{username}/rss`.
+ *
+ * @param {string} username
+ * @param {string} [base] Instance base URL; defaults to the first configured instance
+ * @returns {string}
+ */
+function buildNitterRssUrl(username, base = NITTER_INSTANCES[0] || '') {
+    return `${base.replace(/\/+$/, '')}/${encodeURIComponent(username)}/rss`;
+}
+
+/**
+ * @brief Run an async worker over items with at most `limit` workers in flight.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<void>} worker Must handle its own errors
+ * @returns {Promise<void>}
+ */
+async function runPool(items, limit, worker) {
+    const queue = [...(items || [])];
+
+    const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+        while (queue.length > 0) {
+            await worker(queue.shift());
+        }
+    });
+
+    await Promise.all(runners);
+}
+
+/**
+ * @typedef {Object} AccountProfile
+ * @property {string|null} displayName Display name from the feed title
+ * @property {string|null} avatarUrl Avatar from the feed image, rewritten to the Twitter CDN
+ */
+
+/**
+ * @brief Read the account's display name and avatar from a parsed Nitter feed.
+ *
+ * Nitter feed titles look like "Display Name / @handle"; the channel image is the avatar.
+ *
+ * @param {any} feed Parsed feed
+ * @returns {AccountProfile}
+ */
+function extractFeedProfile(feed) {
+    const title = typeof feed?.title === 'string' ? feed.title.trim() : '';
+    const match = title.match(/^([\s\S]*?)\s*\/\s*@\w+$/);
+    const imageUrl = typeof feed?.image?.url === 'string' ? feed.image.url.trim() : '';
+
+    return {
+        displayName: (match ? match[1].trim() : '') || null,
+        avatarUrl: imageUrl ? rewriteNitterMediaUrl(imageUrl) : null,
+    };
+}
+
+/**
+ * @brief Read a response body as text, giving up past FEED_MAX_BYTES.
+ *
+ * @param {Response} res
+ * @returns {Promise<string>}
+ *
+ * @throws {Error} The body is too large
+ */
+async function readFeedBody(res) {
+    const tooLarge = () => new Error(`Feed is larger than ${FEED_MAX_BYTES} bytes`);
+
+    if (Number(res.headers.get('content-length')) > FEED_MAX_BYTES) {
+        await res.body?.cancel();
+        throw tooLarge();
+    }
+    if (!res.body) return '';
+
+    const chunks = [];
+    let size = 0;
+
+    // Leaving the loop early cancels the rest of the download
+    for await (const chunk of res.body) {
+        size += chunk.length;
+        if (size > FEED_MAX_BYTES) throw tooLarge();
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * @brief Conditionally GET a feed URL and parse it.
+ *
+ * Sends If-None-Match / If-Modified-Since from the last stored validators. Validators are
+ * not stored here; the caller commits them once the feed is accepted. With `publicOnly`,
+ * the host and every redirect target must resolve to public addresses, and connections
+ * are made through PUBLIC_FEED_DISPATCHER so the addresses cannot change after the check
+ * (see feeds.js).
+ *
+ * @param {string} url
+ * @param {Object} [opts]
+ * @param {boolean} [opts.publicOnly=false] Refuse hosts on loopback, private or link-local addresses
+ * @returns {Promise<{ notModified: true }|{ notModified: false, feed: any, items: any[], validators: { etag: string|null, lastModified: string|null } }>}
+ *
+ * @throws {Error} Timeout, network error, non-2xx status, blocked host, oversized or unparseable feed
+ */
+async function requestFeed(url, { publicOnly = false } = {}) {
+    const headers = { Accept: 'application/rss+xml, application/xml;q=0.9, */*;q=0.8' };
+    const validators = g_feedValidators.get(url);
+    if (validators?.etag) headers['If-None-Match'] = validators.etag;
+    if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const signal = AbortSignal.timeout(NITTER_TIMEOUT_MS);
+    let target = url;
+    let res;
+
+    for (let redirects = 0; ; redirects++) {
+        if (publicOnly) await assertPublicFeedUrl(target);
+
+        res = await fetch(target, publicOnly
+            ? { headers, signal, redirect: 'manual', dispatcher: PUBLIC_FEED_DISPATCHER }
+            : { headers, signal });
+
+        const location = res.headers.get('location');
+        if (!publicOnly || res.status < 300 || res.status >= 400 || res.status === 304 || !location) break;
+
+        // Unread bodies keep the connection busy until they are cancelled
+        await res.body?.cancel();
+        if (redirects >= FEED_MAX_REDIRECTS) throw new Error('Too many redirects');
+
+        target = new URL(location, target).href;
+    }
+
+    if (res.status === 304 || !res.ok) await res.body?.cancel();
+    if (res.status === 304) return { notModified: true };
+    if (!res.ok) throw new Error(`Status code ${res.status}`);
+
+    const feed = await parser.parseString(await readFeedBody(res));
+
+    return {
+        notModified: false,
+        feed,
+        items: Array.isArray(feed?.items) ? feed.items : [],
+        validators: {
+            etag: res.headers.get('etag'),
+            lastModified: res.headers.get('last-modified'),
+        },
+    };
+}
+
+/**
+ * @brief Fetch a user's RSS items, failing over across Nitter instances.
+ *
+ * Timeouts and HTTP errors put the instance in cooldown and the next instance is tried. A
+ * 304 response counts as success and means nothing changed since the last accepted response
+ * from that instance. An empty feed makes the next instance be tried too: instances that
+ * returned nothing are put in cooldown only if another one has items for the account.
+ * Otherwise the account's feed is empty, and until it has items again the first empty
+ * answer is taken as its result. If every instance errors, the last error is thrown.
+ *
+ * @param {string} username
+ * @returns {Promise<any[]|null>} RSS items, or null if the feed has not changed
+ *
+ * @throws {Error} Every instance failed
+ */
+async function fetchFeedItems(username) {
+    const order = getInstanceOrder();
+    if (order.length === 0) throw new Error('NITTER_BASE is not configured');
+
+    const key = username.toLowerCase();
+    const emptyBases = [];
+    let lastErr = null;
+
+    for (const base of order) {
+        const url = buildNitterRssUrl(username, base);
+        log(`[RSS] fetching @${username} url=${url}`);
+
+        try {
+            const result = await requestFeed(url);
+
+            if (result.notModified) {
+                markInstanceSuccess(base);
+                return null;
+            }
+
+            if (result.items.length === 0) {
+                if (g_emptyAccounts.has(key)) {
+                    markInstanceSuccess(base);
+                    return [];
+                }
+
+                emptyBases.push(base);
+                continue;
+            }
+
+            // The account has posts, so instances that returned none are serving bad feeds
+            for (const emptyBase of emptyBases) markInstanceFailure(emptyBase, 'empty feed');
+            g_emptyAccounts.delete(key);
+
+            g_feedValidators.set(url, result.validators);
+            g_accountProfiles.set(key, extractFeedProfile(result.feed));
+            markInstanceSuccess(base);
+            return result.items;
+        } catch (err) {
+            lastErr = err;
+            markInstanceFailure(base, err?.message || String(err));
+        }
+    }
+
+    if (emptyBases.length > 0) {
+        for (const emptyBase of emptyBases) markInstanceSuccess(emptyBase);
+        g_emptyAccounts.add(key);
+        return [];
+    }
+
+    throw lastErr;
+}
+
+/**
+ * @brief Extract original tweet text from a Nitter RSS item title.
+ *
+ * Nitter item.title commonly looks like:
+ *   "User Name (@handle): tweet text here"
+ *   "RT by @handle: tweet text here"
+ *   "R to @handle: tweet text here"
+ *
+ * @param {any} item
+ * @returns {string}
+ */
+function extractOriginalText(item) {
+    const title = (item && typeof item.title === 'string') ? item.title.trim() : '';
+    if (!title) return '';
+
+    const prefixed = title.match(/^(?:RT by @\w+|R to @\w+|Pinned): ([\s\S]*)$/);
+    if (prefixed) return prefixed[1].trim();
+
+    const idx = title.indexOf('): ');
+    if (idx !== -1) return title.slice(idx + 3).trim();
+
+    const idx2 = title.indexOf(': ');
+    if (idx2 !== -1) return title.slice(idx2 + 2).trim();
+
+    return title;
+}
+
+/**
+ * @brief Extract the author handle from a URL like "https://host/<handle>/status/<digits>".
+ *
+ * @param {string} link
+ * @returns {string|null}
+ */
+function extractAuthorFromLink(link) {
+    if (!link || typeof link !== 'string') return null;
+    const match = link.match(/\/(\w+)\/status\/\d+/);
+    return match ? match[1] : null;
+}
+
+/**
+ * @brief Classify a Nitter RSS item as an original post, retweet, reply or quote tweet.
+ *
+ * Retweets and replies are recognized from the title prefix Nitter adds ("RT by @…",
+ * "R to @…"). Quote tweets are recognized from a link to another status in the item content.
+ *
+ * @param {string} username Tracked account the feed belongs to
+ * @param {any} item
+ * @param {string} id Status ID of the item
+ * @returns {{ kind: TweetKind, author: string, replyTo: string|null, quotedAuthor: string|null, quotedUrl: string|null }}
+ */
+function classifyItem(username, item, id) {
+    const title = (item && typeof item.title === 'string') ? item.title.trim() : '';
+    const result = { kind: 'post', author: username, replyTo: null, quotedAuthor: null, quotedUrl: null };
+
+    if (/^RT by @\w+: /.test(title)) {
+        const creator = typeof item?.creator === 'string' ? item.creator.replace(/^@/, '').trim() : '';
+        result.kind = 'retweet';
+        result.author = creator || extractAuthorFromLink(item?.link) || username;
+        return result;
+    }
+
+    const reply = title.match(/^R to @(\w+): /);
+    if (reply) {
+        result.kind = 'reply';
+        result.replyTo = reply[1];
+        return result;
+    }
+
+    const content = typeof item?.content === 'string' ? item.content : '';
+    for (const match of content.matchAll(/href="[^"]*?\/(\w+)\/status\/(\d+)[^"]*"/g)) {
+        if (match[2] === id) continue;
+        result.kind = 'quote';
+        result.quotedAuthor = match[1];
+        result.quotedUrl = `https://x.com/${match[1]}/status/${match[2]}`;
+        return result;
+    }
+
+    return result;
+}
+
+/**
+ * @brief Extract tweet ID from a URL containing "/status/<digits>".
+ *
+ * @param {string} link
+ * @returns {string|null}
+ */
+function extractTweetIdFromLink(link) {
+    if (!link || typeof link !== 'string') return null;
+    const match = link.match(/\/status\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * @brief Compare two status IDs numerically, for sorting oldest first.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareTweetIds(a, b) {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    return x < y ? -1 : (x > y ? 1 : 0);
+}
+
+/**
+ * @brief Hash source text for use as a translation cache key.
+ *
+ * @param {string} text
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashSourceText(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * @brief Remove cached translations older than TRANSLATION_CACHE_TTL_MS.
+ */
+function purgeExpiredTranslations() {
+    try {
+        const removed = purgeCachedTranslations(Date.now() - TRANSLATION_CACHE_TTL_MS);
+        if (removed > 0) log(`[CACHE] purged ${removed} expired translation(s)`);
+    } catch (err) {
+        error('[CACHE] purge failed:', err);
+    }
+}
+
+/**
+ * @brief Translate text through the provider chain (single consolidated function).
+ *
+ * Providers are tried in TRANSLATOR_CHAIN order; the first non-empty result wins. If every
+ * provider fails, the original text is returned with provider "passthrough".
+ *
+ * Translations are cached per (tweet ID, source text, target language), so the same text is
+ * never sent to a provider twice while the cache entry is fresh. Passthrough results are not
+ * cached, so a later attempt can still reach a real provider.
+ *
+ * Characters sent to DeepL are charged to the guild and account in opts right away, and
+ * returned as `deeplCharacters` so shared translations can be settled later. Once the monthly
+ * budget is exhausted DeepL is skipped, and if no other provider answers the result carries
+ * `quotaExhausted` so the embed can say why the post is untranslated.
+ *
+ * DeepL applies the guild's glossary when one of its terms appears in the text. The
+ * glossary ID is part of the cache key, so editing a glossary invalidates translations
+ * made with the old one. A glossary not yet on DeepL is synced only on a cache miss.
+ *
+ * The source language is guessed locally first (see langdetect.js); text already in the
+ * target language is returned untranslated with `sameLanguage` and never reaches a
+ * provider. Otherwise the language the provider detected (or the local guess) is returned
+ * as `sourceLang`, and a provider reporting the target language also yields `sameLanguage`.
+ *
+ * Retranslations pick a single provider (and optionally a DeepL formality) through opts.
+ * They skip the local language guess and are cached apart from regular translations.
+ *
+ * @param {string} originalText
+ * @param {Object} [opts]
+ * @param {string} [opts.targetLang=DEFAULT_TARGET_LANG] DeepL target language code
+ * @param {string} [opts.tweetId] Status ID the text belongs to
+ * @param {string} [opts.guildId] Guild charged for DeepL usage, whose glossary is applied
+ * @param {string} [opts.username] Account charged for DeepL usage
+ * @param {string} [opts.provider] Only try this provider
+ * @param {'more'|'less'} [opts.formality] Preferred tone, for providers that support it
+ * @returns {Promise<{ text: string, provider: string, sourceLang: string|null, sameLanguage?: boolean, quotaExhausted?: boolean, deeplCharacters?: number }>}
+ */
+async function translateToEnglish(originalText, opts) {
+    const {
+        targetLang = DEFAULT_TARGET_LANG,
+        tweetId = '',
+        guildId = '',
+        username = '',
+        provider: onlyProvider = '',
+        formality = '',
+    } = opts || {};
+    const text = (originalText || '').trim();
+
+    if (!text) return { text: '', provider: 'passthrough', sourceLang: null };
+    if (/^https?:\/\/\S+$/i.test(text)) return { text, provider: 'passthrough', sourceLang: null };
+
+    const target = baseLanguage(targetLang);
+    const guessed = detectLanguage(text);
+    if (guessed === target && !onlyProvider) {
+        log(`[TRANSLATE] tweet=${tweetId} is already in ${guessed}; not translating`);
+        return { text, provider: 'passthrough', sourceLang: guessed, sameLanguage: true };
+    }
+
+    // Providers may detect the target language after all; the post is then shown untranslated
+    const finish = (translated, provider, sourceLang) => (
+        sourceLang && baseLanguage(sourceLang) === target
+            ? { text, provider: 'passthrough', sourceLang: baseLanguage(sourceLang), sameLanguage: true }
+            : { text: translated, provider, sourceLang: sourceLang ? baseLanguage(sourceLang) : null }
+    );
+
+    const chain = onlyProvider ? translatorChain.filter((t) => t.name === onlyProvider) : translatorChain;
+    let glossary = chain.some((t) => t.name === 'deepl') && !isBudgetExhausted()
+        ? matchGlossary(guildId, text, targetLang)
+        : null;
+
+    const hashFor = (glossaryId) => {
+        let cacheKey = glossaryId ? `${text}\u0000${glossaryId}` : text;
+        if (onlyProvider) cacheKey += `\u0000${onlyProvider}:${formality}`;
+        return hashSourceText(cacheKey);
+    };
+    let sourceHash = hashFor(glossary?.glossaryId);
+    const cached = getCachedTranslation(tweetId, sourceHash, targetLang, Date.now() - TRANSLATION_CACHE_TTL_MS);
+    if (cached) {
+        g_translationCacheHits++;
+        log(`[CACHE] hit tweet=${tweetId} lang=${targetLang} (hits=${g_translationCacheHits} misses=${g_translationCacheMisses})`);
+        return finish(cached.translated_text, cached.provider, cached.source_lang || guessed);
+    }
+
+    g_translationCacheMisses++;
+    log(`[CACHE] miss tweet=${tweetId} lang=${targetLang} (hits=${g_translationCacheHits} misses=${g_translationCacheMisses})`);
+
+    // A glossary missing on DeepL is only synced now, so cache hits never wait for (or retry) a sync
+    if (glossary && !glossary.glossaryId) {
+        const glossaryId = await ensureGlossary(guildId, glossary.sourceLang, targetLang);
+        glossary = glossaryId ? { ...glossary, glossaryId } : null;
+        if (glossaryId) sourceHash = hashFor(glossaryId);
+    }
+
+    let quotaExhausted = false;
+
+    for (const translator of chain) {
+        if (translator.name === 'deepl' && isBudgetExhausted()) {
+            quotaExhausted = true;
+            continue;
+        }
+
+        if (translator.name === 'passthrough' && quotaExhausted) {
+            return { text, provider: 'passthrough', sourceLang: guessed, quotaExhausted };
+        }
+
+        try {
+            const result = await translator.translate(text, targetLang, { ...glossary, ...(formality ? { formality } : {}) });
+            if (!result.text) continue;
+
+            if (translator.name === 'deepl') {
+                await raiseBudgetAlerts(recordDeeplUsage(guildId, username, text.length));
+            }
+
+            const sourceLang = result.detectedSourceLang || glossary?.sourceLang || guessed;
+            if (translator.name !== 'passthrough') {
+                setCachedTranslation(tweetId, sourceHash, targetLang, result.text, translator.name, sourceLang);
+            }
+
+            const translated = finish(result.text, translator.name, sourceLang);
+            return translator.name === 'deepl' ? { ...translated, deeplCharacters: text.length } : translated;
+        } catch (err) {
+            if (translator.name === 'deepl' && isDeeplQuotaError(err)) {
+                log('[BUDGET] DeepL reported the quota as exceeded; skipping DeepL until the next billing period.');
+                quotaExhausted = true;
+                await raiseBudgetAlerts(markQuotaExceeded());
+                continue;
+            }
+            if (translator.name === 'deepl' && glossary && isGlossaryNotFoundError(err)) {
+                log(`[GLOSSARY] DeepL glossary ${glossary.glossaryId} is gone; it is recreated on the next translation.`);
+                forgetGlossary(guildId, glossary.sourceLang, targetLang);
+            }
+            error(`[TRANSLATE] ${translator.name} failed; trying next provider:`, err);
+        }
+    }
+
+    log('[TRANSLATE] no provider produced a translation; returning original text.');
+    return quotaExhausted
+        ? { text, provider: 'passthrough', sourceLang: guessed, quotaExhausted }
+        : { text, provider: 'passthrough', sourceLang: guessed };
+}
+
+/**
+ * @brief Hand newly crossed budget alert levels to the alert callback.
+ *
+ * @param {{ period: string, levels: number[] }} crossed
+ */
+async function raiseBudgetAlerts(crossed) {
+    for (const level of crossed.levels) {
+        log(`[BUDGET] DeepL usage reached ${level}% of the budget for period ${crossed.period}`);
+        if (!g_notifyBudgetAlert) continue;
+
+        try {
+            await g_notifyBudgetAlert({ period: crossed.period, level });
+        } catch (err) {
+            error('[BUDGET] alert delivery failed:', err);
+        }
+    }
+}
+
+/**
+ * @brief Convert a Nitter RSS item into the tweet shape used by the poller.
+ *
+ * @param {string} username
+ * @param {any} item
+ * @param {string} id Status ID extracted from the item link
+ * @returns {RssTweet} Untranslated tweet
+ */
+function itemToTweet(username, item, id) {
+    const originalText = extractOriginalText(item);
+    const { kind, author, replyTo, quotedAuthor, quotedUrl } = classifyItem(username, item, id);
+
+    let publishedAt = null;
+    const rawDate = item?.isoDate || item?.pubDate || null;
+    if (rawDate) {
+        const d = new Date(rawDate);
+        publishedAt = Number.isNaN(d.getTime()) ? null : d;
+    }
+
+    return {
+        username,
+        source: username.toLowerCase(),
+        sourceType: 'nitter',
+        id,
+        url: `https://x.com/${author}/status/${id}`,
+        kind,
+        author,
+        replyTo,
+        quotedAuthor,
+        quotedUrl,
+        originalText,
+        media: extractMedia(item),
+        profile: g_accountProfiles.get(username.toLowerCase()) || null,
+        publishedAt,
+    };
+}
+
+/**
+ * @brief Whether a tweet has anything worth posting (text or media).
+ *
+ * @param {RssTweet} tweet
+ * @returns {boolean}
+ */
+function hasContent(tweet) {
+    return !!tweet.originalText || tweet.media.length > 0;
+}
+
+/**
+ * @brief Record the outcome of a fetch for /status.
+ *
+ * @param {string} key Source key
+ * @param {Error|null} err Error if the fetch failed
+ * @param {number} [newCount=0] Number of new posts found
+ */
+function recordAccountStatus(key, err, newCount = 0) {
+    const prev = g_accountStatus.get(key);
+
+    g_accountStatus.set(key, {
+        lastFetchAt: Date.now(),
+        lastResult: err ? 'error' : (newCount > 0 ? 'new' : 'unchanged'),
+        lastError: err ? (err.message || String(err)) : null,
+        consecutiveFailures: err ? (prev?.consecutiveFailures || 0) + 1 : 0,
+    });
+}
+
+/**
+ * @brief Snapshot of the poller's health for /status.
+ *
+ * @returns {{ lastTickAt: number|null, accounts: Map<string, AccountPollStatus> }}
+ */
+function getPollStatus() {
+    return {
+        lastTickAt: g_lastTickAt,
+        accounts: new Map([...g_accountStatus].map(([k, v]) => [k, { ...v }])),
+    };
+}
+
+/**
+ * @brief Order posts oldest first: by publish date, then by status ID for Twitter/X posts.
+ *
+ * @param {RssTweet} a
+ * @param {RssTweet} b
+ * @returns {number}
+ */
+function comparePosts(a, b) {
+    const byDate = (a.publishedAt?.getTime() || 0) - (b.publishedAt?.getTime() || 0);
+    if (byDate !== 0) return byDate;
+    return a.sourceType === 'nitter' && b.sourceType === 'nitter' ? compareTweetIds(a.id, b.id) : 0;
+}
+
+/**
+ * @brief Whether a post is a reply to the account that wrote it.
+ *
+ * @param {RssTweet} post
+ * @returns {boolean}
+ */
+function isSelfReply(post) {
+    if (post.kind !== 'reply' || !post.replyTo) return false;
+    return post.replyTo.toLowerCase() === (post.author || post.username).toLowerCase();
+}
+
+/**
+ * @brief Whether a self-reply could follow a post as the next part of its thread.
+ *
+ * @param {RssTweet} post
+ * @returns {boolean}
+ */
+function canContinueThread(post) {
+    return post.kind === 'post' || post.kind === 'quote' || isSelfReply(post);
+}
+
+/**
+ * @brief Merge self-reply threads into single posts.
+ *
+ * A self-reply continues the previous post from the same source when that post is an
+ * original post, a quote or a self-reply itself, and was published at most
+ * THREAD_WINDOW_MS earlier. The merged post keeps the first part's ID, URL and kind, joins
+ * the texts and media of all parts, and lists the parts in `thread`.
+ *
+ * The previous post may be one delivered by an earlier poll (see rememberOpenThread). The
+ * merged post then includes its parts too, and delivering it edits the earlier post.
+ *
+ * @param {RssTweet[]} posts Posts oldest first
+ * @returns {RssTweet[]} Posts oldest first, threads merged
+ */
+function groupThreads(posts) {
+    if (THREAD_WINDOW_MS <= 0) return posts;
+
+    /** @type {RssTweet[][]} */
+    const groups = [];
+    /** @type {Map<string, RssTweet[]>} */
+    const open = new Map([...g_openThreads].map(([key, post]) => [key, [...(post.thread || [post])]]));
+
+    for (const post of posts) {
+        const group = open.get(post.source);
+        const last = group?.[group.length - 1];
+
+        const continues = last
+            && isSelfReply(post)
+            && canContinueThread(last)
+            && last.publishedAt && post.publishedAt
+            && post.publishedAt - last.publishedAt <= THREAD_WINDOW_MS;
+
+        if (continues) {
+            group.push(post);
+            // Threads started by an earlier poll join the batch with their first new part
+            if (!groups.includes(group)) groups.push(group);
+            continue;
+        }
+
+        const next = [post];
+        open.set(post.source, next);
+        groups.push(next);
+    }
+
+    return groups.map((parts) => {
+        if (parts.length === 1) return parts[0];
+
+        log(`[RSS] merged a thread of ${parts.length} posts from @${parts[0].username} tweet=${parts[0].id}`);
+        return {
+            ...parts[0],
+            originalText: parts.map((p) => p.originalText).filter(Boolean).join('\n\n'),
+            media: parts.flatMap((p) => p.media),
+            thread: parts,
+        };
+    });
+}
+
+/**
+ * @brief Remember a delivered post, so self-replies fetched by later polls can extend it.
+ *
+ * @param {RssTweet} post Untranslated post, threads merged
+ */
+function rememberOpenThread(post) {
+    if (THREAD_WINDOW_MS <= 0) return;
+
+    const last = post.thread ? post.thread[post.thread.length - 1] : post;
+    if (canContinueThread(last)) {
+        g_openThreads.set(post.source, post);
+    } else {
+        g_openThreads.delete(post.source);
+    }
+}
+
+/**
+ * @brief Fetch a generic RSS/Atom feed and convert its items into posts.
+ *
+ * @param {TrackedSource} source Feed source
+ * @returns {Promise<RssTweet[]|null>} Posts oldest first, or null if the feed has not changed
+ *
+ * @throws {Error} Timeout, network error, non-2xx status, blocked host, oversized or unparseable feed
+ */
+async function fetchFeedPosts(source) {
+    log(`[RSS] fetching feed ${source.name} url=${source.url}`);
+
+    const result = await requestFeed(source.url, { publicOnly: true });
+    if (result.notModified) return null;
+
+    g_feedValidators.set(source.url, result.validators);
+
+    const profile = extractGenericFeedProfile(result.feed);
+    g_accountProfiles.set(source.key, profile);
+
+    return orderFeedItems(result.items).map((item) => feedItemToPost(source, item, profile));
+}
+
+/**
+ * @brief Fetch a Bluesky author feed and convert its items into posts.
+ *
+ * @param {TrackedSource} source Bluesky source
+ * @returns {Promise<RssTweet[]>} Posts oldest first
+ *
+ * @throws {Error} Timeout, network error or non-2xx status from the AppView
+ */
+async function fetchBlueskyPosts(source) {
+    log(`[RSS] fetching bluesky @${source.name}`);
+
+    const items = (await getAuthorFeed(source.name)).filter((item) => item?.post?.uri);
+
+    const profile = extractBlueskyProfile(source.name, items);
+    if (profile) g_accountProfiles.set(source.key, profile);
+
+    return items
+        .map((item) => blueskyItemToPost(source, item, profile))
+        .sort(comparePosts);
+}
+
+/**
+ * @typedef {Object} SourceUpdates
+ * @property {boolean} primed Whether the source had been fetched before
+ * @property {RssTweet[]} unseen New posts, oldest first
+ * @property {RssTweet|null} latest Latest post in the fetch
+ * @property {() => void} commit Advance the source's cursor and seen set past this fetch
+ */
+
+/**
+ * @brief Key of a Nitter tweet in its source's seen set.
+ *
+ * A retweet item links to the retweeted tweet, so its status ID says nothing about when
+ * it was retweeted. Retweets are keyed apart from the account's own tweets.
+ *
+ * @param {RssTweet} tweet
+ * @returns {string}
+ */
+function nitterSeenKey(tweet) {
+    return tweet.kind === 'retweet' ? `rt:${tweet.id}` : tweet.id;
+}
+
+/**
+ * @brief Fetch new tweets for a Nitter source.
+ *
+ * The account's own tweets are new when their status ID is past the cursor and they are
+ * missing from the seen set. Retweets are new when missing from the seen set; a source
+ * with nothing in its seen set yet (tracked before retweets were keyed this way) only
+ * records the retweets in its feed. The cursor and seen set are left alone until `commit`
+ * is called, so a crash before the tweets are delivered fetches them again on the next start.
+ *
+ * @param {TrackedSource} source Nitter source
+ * @param {boolean} latestOnly Only fetch the latest tweet (used to prime or skip the backlog)
+ * @returns {Promise<SourceUpdates>}
+ */
+async function fetchNitterUpdates(source, latestOnly) {
+    const lastId = getFeedCursor(source.key);
+    const items = await fetchFeedItems(source.name);
+    if (!items) return { primed: !!lastId, unseen: [], latest: null, commit: () => {} };
+
+    const tweets = [];
+    for (const it of items) {
+        const id = extractTweetIdFromLink(it?.link);
+        if (id) tweets.push(itemToTweet(source.name, it, id));
+    }
+    tweets.sort((a, b) => compareTweetIds(a.id, b.id));
+
+    const keys = tweets.map(nitterSeenKey);
+    const own = tweets.filter((t) => t.kind !== 'retweet');
+    const newestOwn = own[own.length - 1] || null;
+
+    const latest = !lastId || latestOnly ? tweets[tweets.length - 1] || null : null;
+
+    const commit = () => {
+        markItemsSeen(source.key, keys);
+
+        const next = (latest || newestOwn)?.id;
+        if (next && (!lastId || BigInt(next) > BigInt(lastId))) setFeedCursor(source.key, next);
+    };
+
+    if (!lastId || latestOnly) return { primed: !!lastId, unseen: [], latest, commit };
+
+    const retweetsKnown = hasSeenItems(source.key);
+    const unseenKeys = new Set(filterUnseenItems(source.key, keys));
+    const unseen = tweets.filter((t) => unseenKeys.has(nitterSeenKey(t))
+        && (t.kind === 'retweet' ? retweetsKnown : BigInt(t.id) > BigInt(lastId)));
+
+    return { primed: true, unseen, latest: unseen[unseen.length - 1] || null, commit };
+}
+
+/**
+ * @brief Fetch new items for a feed or Bluesky source.
+ *
+ * Feed items and Bluesky posts have no ordered IDs, so new items are the ones whose
+ * guid or post URI is missing from the source's seen set. The cursor only marks that the
+ * source has been primed. Items are recorded as seen by `commit`.
+ *
+ * @param {TrackedSource} source Feed or Bluesky source
+ * @returns {Promise<SourceUpdates>}
+ */
+async function fetchFeedUpdates(source) {
+    const posts = source.type === 'bluesky'
+        ? await fetchBlueskyPosts(source)
+        : await fetchFeedPosts(source);
+    if (!posts) return { primed: true, unseen: [], latest: null, commit: () => {} };
+
+    const primed = !!getFeedCursor(source.key);
+    const ids = posts.map((p) => p.id);
+    const unseenIds = new Set(filterUnseenItems(source.key, ids));
+    const latest = posts[posts.length - 1] || null;
+
+    const commit = () => {
+        markItemsSeen(source.key, ids);
+        if (latest) setFeedCursor(source.key, latest.id);
+    };
+
+    return { primed, unseen: posts.filter((p) => unseenIds.has(p.id)), latest, commit };
+}
+
+/**
+ * @brief Fetch a source and work out which of its posts to deliver.
+ *
+ * Sources without a stored cursor are primed instead: a poll yields only their latest post
+ * and catch-up yields nothing, so newly tracked sources don't dump their history into
+ * channels. Catch-up yields at most RSS_CATCHUP_MAX posts per source.
+ *
+ * @param {TrackedSource} source
+ * @param {boolean} catchUp Delivering posts missed while the bot was offline
+ * @returns {Promise<{ found: number, posts: RssTweet[], commit: () => void }>} Number of new posts seen, the ones to deliver (oldest first), and the callback recording them as fetched once delivered
+ *
+ * @throws {Error} The fetch failed
+ */
+async function collectNewPosts(source, catchUp) {
+    const skipBacklog = catchUp && RSS_CATCHUP_MAX === 0;
+    const { primed, unseen, latest, commit } = source.type === 'nitter'
+        ? await fetchNitterUpdates(source, skipBacklog)
+        : await fetchFeedUpdates(source);
+
+    if (!primed || skipBacklog) {
+        const posts = !catchUp && latest ? [latest] : [];
+        return { found: posts.length, posts, commit };
+    }
+
+    if (!catchUp) return { found: unseen.length, posts: unseen, commit };
+
+    const kept = unseen.slice(-RSS_CATCHUP_MAX);
+    if (kept.length < unseen.length) {
+        log(`[RSS] catch-up for ${formatSourceName(source)}: skipping ${unseen.length - kept.length} older post(s) (cap=${RSS_CATCHUP_MAX})`);
+    }
+
+    return { found: unseen.length, posts: kept, commit };
+}
+
+/**
+ * @typedef {Object} PostBatch
+ * @property {RssTweet[]} posts Untranslated posts, oldest first
+ * @property {Map<string, () => void>} commits Source key to the callback recording its fetch, for every source fetched
+ */
+
+/**
+ * @brief Order the posts fetched by a tick and merge threads.
+ *
+ * @param {RssTweet[]} posts Untranslated posts with content, in any order
+ * @param {Map<string, () => void>} commits Source key to its collectNewPosts commit
+ * @returns {PostBatch}
+ */
+function buildBatch(posts, commits) {
+    posts.sort(comparePosts);
+    return { posts: groupThreads(posts), commits };
+}
+
+/**
+ * @brief Deliver posts missed while the bot was offline, based on the stored cursors.
+ *
+ * Sources without a stored cursor are primed with their latest post instead, so
+ * newly tracked sources don't dump their history into channels.
+ *
+ * @param {TrackedSource[]} sources
+ * @returns {Promise<PostBatch>}
+ */
+async function catchUpMissed(sources) {
+    const missed = [];
+    const commits = new Map();
+
+    await runPool(sources, RSS_CONCURRENCY, async (source) => {
+        try {
+            const { found, posts, commit } = await collectNewPosts(source, true);
+            recordAccountStatus(source.key, null, found);
+            missed.push(...posts.filter(hasContent));
+            commits.set(source.key, commit);
+        } catch (err) {
+            error(`[RSS] catch-up failed for ${formatSourceName(source)}:`, err);
+            recordAccountStatus(source.key, err);
+        }
+    });
+
+    return buildBatch(missed, commits);
+}
+
+/**
+ * @brief Poll all due sources once, return every unseen post (across all sources).
+ *
+ * Self-reply threads are merged into one post (see groupThreads). Only sources whose adaptive schedule says they are due are fetched (see schedule.js).
+ * Feeds are fetched concurrently, at most RSS_CONCURRENCY at a time.
+ *
+ * Sources without a stored cursor only yield their latest post, matching the
+ * behavior for newly tracked accounts.
+ *
+ * Schedules are measured from the start of the tick rather than the end of each fetch, so
+ * a source polled at the base interval is due again on the next tick.
+ *
+ * @param {TrackedSource[]} sources
+ * @param {number} [tickStartedAt=Date.now()] When the polling tick started
+ * @returns {Promise<PostBatch>}
+ */
+async function pollOnce(sources, tickStartedAt = Date.now()) {
+    const fresh = [];
+    const commits = new Map();
+    const pinned = new Set(listFastPollSourceKeys());
+    const due = (sources || []).filter((s) => isDue(s.key, tickStartedAt));
+
+    await runPool(due, RSS_CONCURRENCY, async (source) => {
+        const isPinned = pinned.has(source.key);
+        let result;
+
+        try {
+            result = await collectNewPosts(source, false);
+        } catch (err) {
+            error(`[RSS] fetch failed for ${formatSourceName(source)}:`, err);
+            recordAccountStatus(source.key, err);
+            recordPoll(source.key, { failed: true, pinned: isPinned }, tickStartedAt);
+            return;
+        }
+
+        recordAccountStatus(source.key, null, result.found);
+        recordPoll(source.key, { active: result.found > 0, pinned: isPinned }, tickStartedAt);
+        fresh.push(...result.posts.filter(hasContent));
+        commits.set(source.key, result.commit);
+    });
+
+    return buildBatch(fresh, commits);
+}
+
+/**
+ * @brief Translate the parts of a thread one by one, in order.
+ *
+ * @param {RssTweet[]} parts
+ * @param {Object} opts Options for translateToEnglish (tweetId is set per part)
+ * @returns {Promise<{ text: string, provider: string, sourceLang: string|null, sameLanguage?: boolean, quotaExhausted?: boolean, deeplCharacters?: number, parts: string[] }>} Joined text, the first real provider used, and each part's translation
+ */
+async function translateThread(parts, opts) {
+    const results = [];
+    for (const part of parts) {
+        results.push(await translateToEnglish(part.originalText, { ...opts, tweetId: part.id }));
+    }
+
+    const translated = results.find((r) => r.provider !== 'passthrough');
+    const quotaExhausted = !translated && results.some((r) => r.quotaExhausted);
+    const withText = results.filter((r) => r.text);
+    const sameLanguage = withText.length > 0 && withText.every((r) => r.sameLanguage);
+    const deeplCharacters = results.reduce((sum, r) => sum + (r.deeplCharacters || 0), 0);
+
+    return {
+        text: results.map((r) => r.text).filter(Boolean).join('\n\n'),
+        provider: translated ? translated.provider : 'passthrough',
+        sourceLang: (translated || results.find((r) => r.sourceLang))?.sourceLang || null,
+        ...(sameLanguage ? { sameLanguage } : {}),
+        ...(quotaExhausted ? { quotaExhausted } : {}),
+        ...(deeplCharacters > 0 ? { deeplCharacters } : {}),
+        parts: results.map((r) => r.text),
+    };
+}
+
+/**
+ * @brief Translate a tweet's body (each part of a thread on its own) and its media alt texts.
+ *
+ * @param {RssTweet} tweet Untranslated tweet
+ * @param {Object} opts Options for translateToEnglish
+ * @returns {Promise<{ text: string, provider: string, sourceLang: string|null, sameLanguage?: boolean, quotaExhausted?: boolean, deeplCharacters?: number, parts?: string[], alts: string[] }>}
+ */
+async function translateTweet(tweet, opts) {
+    const translation = tweet.thread
+        ? await translateThread(tweet.thread, opts)
+        : await translateToEnglish(tweet.originalText, opts);
+
+    translation.alts = [];
+    for (const m of tweet.media) {
+        const alt = m.alt ? await translateToEnglish(m.alt, opts) : null;
+        translation.alts.push(alt ? alt.text : '');
+        if (alt?.deeplCharacters) translation.deeplCharacters = (translation.deeplCharacters || 0) + alt.deeplCharacters;
+    }
+
+    return translation;
+}
+
+/**
+ * @brief The tweet as delivered to a guild: tracked under the guild's name, with a translation applied.
+ *
+ * @param {RssTweet} tweet Untranslated tweet
+ * @param {string} name Name the guild tracks the source under
+ * @param {string} targetLang DeepL target language code
+ * @param {Awaited<ReturnType<typeof translateTweet>>} translation
+ * @returns {RssTweet} Translated tweet
+ */
+function applyTranslation(tweet, name, targetLang, translation) {
+    return {
+        ...tweet,
+        username: name,
+        translatedText: translation.text,
+        translationProvider: translation.provider,
+        quotaExhausted: !!translation.quotaExhausted,
+        sourceLang: translation.sourceLang || null,
+        sameLanguage: !!translation.sameLanguage,
+        targetLang,
+        media: tweet.media.map((m, i) => ({ ...m, translatedAlt: translation.alts[i] })),
+        ...(tweet.thread ? {
+            thread: tweet.thread.map((p, i) => ({ ...p, username: name, translatedText: translation.parts[i] })),
+        } : {}),
+    };
+}
+
+/**
+ * @brief Translate a tweet and send it to every guild tracking its account.
+ *
+ * The tweet (body and media alt text) is translated once per distinct target language
+ * among those guilds, and separately for guilds with a glossary for their language. Each
+ * part of a thread is translated on its own. Guilds that turned off the tweet's kind
+ * (retweets, replies, quotes) are skipped. Each guild's filter rules for the account are checked before anything is
+ * sent. When all rules target the original text they are checked before translating, so
+ * rejected posts cost no translation. A guild whose delivery fails is logged and skipped,
+ * so the other guilds still get the tweet. DeepL usage of a shared translation is charged
+ * to the guild it was made for, then split among the guilds it was delivered to (see budget.js).
+ *
+ * @param {Map<string,TrackedSource[]>} guildMap Guild ID to tracked sources
+ * @param {RssTweet} tweet Untranslated tweet
+ * @param {(guildId: string, tweet: RssTweet) => Promise<void>} notifyGuild
+ * @returns {Promise<void>}
+ */
+async function deliverTweet(guildMap, tweet, notifyGuild) {
+    /** @type {Map<string,{ text: string, provider: string, sourceLang: string|null, sameLanguage?: boolean, quotaExhausted?: boolean, deeplCharacters?: number, parts?: string[], alts: string[] }>} */
+    const translations = new Map();
+    /** @type {Map<string,{ period: string, requester: { guildId: string, username: string }, recipients: { guildId: string, username: string }[] }>} Guilds sharing each translation */
+    const sharing = new Map();
+
+    for (const [guildId, sources] of guildMap) {
+        // Guilds may track the same feed under different names
+        const tracked = (sources || []).find((s) => s.key === tweet.source);
+        if (!tracked) continue;
+
+        const name = tracked.name;
+
+        if (!isPostKindEnabled(guildId, name, tweet.kind)) {
+            log(`[FILTER] guild=${guildId} skipped ${formatSourceName(tracked)} ${tweet.kind} tweet=${tweet.id}`);
+            continue;
+        }
+
+        const filters = listAccountFilters(guildId, name);
+        const checkTranslated = needsTranslatedText(filters);
+        if (!checkTranslated && !passesFilters(filters, tweet.originalText)) {
+            log(`[FILTER] guild=${guildId} skipped ${formatSourceName(tracked)} tweet=${tweet.id}`);
+            continue;
+        }
+
+        try {
+            const targetLang = getGuildTargetLang(guildId);
+            // Guilds with their own glossary cannot share a translation with other guilds
+            const shared = !hasGlossaryTerms(guildId, glossaryLangOf(targetLang));
+            const translationKey = shared ? targetLang : `${targetLang}:${guildId}`;
+            if (!translations.has(translationKey)) {
+                const { period } = getBillingPeriod();
+                translations.set(translationKey, await translateTweet(tweet, { targetLang, tweetId: tweet.id, guildId, username: name }));
+                if (shared) sharing.set(translationKey, { period, requester: { guildId, username: name }, recipients: [] });
+            }
+
+            const translation = translations.get(translationKey);
+
+            if (checkTranslated && !passesFilters(filters, tweet.originalText, translation.text)) {
+                log(`[FILTER] guild=${guildId} skipped ${formatSourceName(tracked)} tweet=${tweet.id} (translated text)`);
+                continue;
+            }
+
+            await notifyGuild(guildId, applyTranslation(tweet, name, targetLang, translation));
+            sharing.get(translationKey)?.recipients.push({ guildId, username: name });
+        } catch (err) {
+            error(`[RSS] delivery to guild=${guildId} failed for ${formatSourceName(tracked)} tweet=${tweet.id}:`, err);
+        }
+    }
+
+    for (const [translationKey, { period, requester, recipients }] of sharing) {
+        const characters = translations.get(translationKey).deeplCharacters;
+        if (characters) settleSharedDeeplUsage(period, requester, recipients, characters);
+    }
+}
+
+/**
+ * @brief Record a source's fetch, logging instead of throwing.
+ *
+ * @param {string} sourceKey
+ * @param {() => void} commit
+ */
+function commitSource(sourceKey, commit) {
+    try {
+        commit();
+    } catch (err) {
+        error(`[RSS] failed to record fetch of source=${sourceKey}:`, err);
+    }
+}
+
+/**
+ * @brief Deliver a batch of posts, then record each source's fetch.
+ *
+ * A source's cursor and seen set only move once all of its posts in the batch have gone
+ * through delivery, so posts interrupted by a crash are fetched and delivered again on the
+ * next start. A post that fails to deliver is logged and the batch goes on.
+ *
+ * @param {Map<string,TrackedSource[]>} guildMap Guild ID to tracked sources
+ * @param {PostBatch} batch
+ * @param {(guildId: string, tweet: RssTweet) => Promise<void>} notifyGuild
+ * @returns {Promise<void>}
+ */
+async function deliverBatch(guildMap, batch, notifyGuild) {
+    /** @type {Map<string, number>} */
+    const remaining = new Map();
+    for (const post of batch.posts) {
+        remaining.set(post.source, (remaining.get(post.source) || 0) + 1);
+    }
+
+    for (const [key, commit] of batch.commits) {
+        if (!remaining.has(key)) commitSource(key, commit);
+    }
+
+    for (const post of batch.posts) {
+        try {
+            await deliverTweet(guildMap, post, notifyGuild);
+        } catch (err) {
+            error(`[RSS] delivery failed for tweet=${post.id}:`, err);
+        }
+        rememberOpenThread(post);
+
+        const left = remaining.get(post.source) - 1;
+        remaining.set(post.source, left);
+
+        const commit = batch.commits.get(post.source);
+        if (left === 0 && commit) commitSource(post.source, commit);
+    }
+}
+
+/**
+ * @brief Start the RSS polling loop.
+ *
+ * Ticks are self-rescheduling: the next tick is only scheduled once the current one has
+ * finished delivering, so two ticks never run at once. A tick that takes longer than the
+ * interval is logged as an overrun and the next one starts right away. The first tick
+ * delivers tweets missed while the bot was offline.
+ *
+ * @param {Object} opts
+ * @param {import('discord.js').Client} opts.client
+ * @param {number} [opts.intervalMs=60000]
+ * @param {() => Promise<{ guildMap: Map<string,TrackedSource[]>, sources: TrackedSource[] }>} opts.getGuildState
+ * @param {(guildId: string, tweet: RssTweet) => Promise<void>} opts.notifyGuild Sends a post; a thread that grew after it was sent is passed again with all its parts
+ * @param {(alert: { period: string, level: number }) => Promise<void>} [opts.notifyBudgetAlert] Called once per period for each DeepL budget alert level reached
+ * @returns {{ stop: () => Promise<void> }} Handle to stop the loop and wait for the in-flight tick
+ */
+function startRssLoop(opts) {
+    const { client, intervalMs = 60_000, getGuildState, notifyGuild, notifyBudgetAlert = null } = opts || {};
+
+    if (!client) throw new Error('startRssLoop: opts.client is required');
+    if (!getGuildState) throw new Error('startRssLoop: opts.getGuildState is required');
+    if (!notifyGuild) throw new Error('startRssLoop: opts.notifyGuild is required');
+
+    g_notifyBudgetAlert = notifyBudgetAlert;
+
+    log(`RSS loop started. interval=${intervalMs}ms nitterInstances=${NITTER_INSTANCES.join(',')} catchUpMax=${RSS_CATCHUP_MAX} concurrency=${RSS_CONCURRENCY} threadWindow=${THREAD_WINDOW_MS}ms`);
+
+    let stopped = false;
+    let timer = null;
+    /** @type {Promise<void>|null} */
+    let inFlight = null;
+
+    const catchUpTick = async () => {
+        try {
+            const state = await getGuildState();
+            const missed = await catchUpMissed(state.sources);
+            if (missed.posts.length > 0) log(`[RSS] catching up on ${missed.posts.length} missed tweet(s)`);
+
+            await deliverBatch(state.guildMap, missed, notifyGuild);
+
+            g_lastTickAt = Date.now();
+        } catch (err) {
+            error('[RSS] initial catch-up failed:', err);
+        }
+    };
+
+    const pollTick = async () => {
+        const startedAt = Date.now();
+
+        try {
+            purgeExpiredTranslations();
+
+            const state = await getGuildState();
+            const batch = await pollOnce(state.sources, startedAt);
+
+            await deliverBatch(state.guildMap, batch, notifyGuild);
+
+            g_lastTickAt = Date.now();
+        } catch (err) {
+            error('[RSS] polling tick failed:', err);
+        }
+    };
+
+    const run = async (tick) => {
+        timer = null;
+        if (stopped) return;
+
+        const startedAt = Date.now();
+        inFlight = tick();
+        await inFlight;
+        inFlight = null;
+
+        const elapsed = Date.now() - startedAt;
+        if (elapsed > intervalMs) {
+            log(`[RSS] tick overran interval: took ${elapsed}ms (interval=${intervalMs}ms)`);
+        }
+
+        if (!stopped) {
+            timer = setTimeout(() => run(pollTick), Math.max(0, intervalMs - elapsed));
+        }
+    };
+
+    purgeExpiredTranslations();
+    run(catchUpTick);
+
+    return {
+        async stop() {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+
+            if (inFlight) {
+                log('[RSS] waiting for in-flight tick to finish delivering...');
+                await inFlight;
+            }
+
+            log('[RSS] loop stopped.');
+        },
+    };
+}
+
+/**
+ * @brief Fetch a feed URL once to check that it is a readable RSS/Atom feed.
+ *
+ * @param {string} url
+ * @returns {Promise<{ title: string|null, itemCount: number|null }>} Feed title and item count (null if unchanged since the last poll)
+ *
+ * @throws {Error} Timeout, network error, non-2xx status, blocked host, oversized or unparseable feed
+ */
+async function probeFeed(url) {
+    const result = await requestFeed(url, { publicOnly: true });
+    if (result.notModified) return { title: null, itemCount: null };
+
+    return {
+        title: extractGenericFeedProfile(result.feed).displayName,
+        itemCount: result.items.length,
+    };
+}
+
+module.exports = {
+    startRssLoop,
+    probeFeed,
+    translateToEnglish,
+    translateTweet,
+    applyTranslation,
+    NITTER_INSTANCES,
+    getNitterHealth,
+    getPollStatus,
+};
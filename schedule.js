@@ -0,0 +1,145 @@
+/**
+ * @file schedule.js
+ *
+ * @brief Adaptive per-source polling schedule.
+ *
+ * Every source keeps its own poll interval, keyed by source key (see sources.js) so all
+ * guilds tracking a source share it. Activity snaps it back to the base interval, quiet
+ * polls stretch it towards a ceiling, and fetch failures stretch it faster towards a
+ * separate, higher ceiling. Sources pinned to "fast" never back off for being quiet.
+ */
+
+'use strict';
+
+/**
+ * Shortest poll interval, used for active and pinned accounts.
+ *
+ * @constant {number} RSS_INTERVAL_MS
+ */
+const RSS_INTERVAL_MS = Number(process.env.RSS_INTERVAL_MS || 60_000);
+
+/**
+ * Longest interval a quiet account backs off to.
+ *
+ * @constant {number} RSS_MAX_INTERVAL_MS
+ */
+const RSS_MAX_INTERVAL_MS = Math.max(RSS_INTERVAL_MS, Number(process.env.RSS_MAX_INTERVAL_MS || 30 * 60_000));
+
+/**
+ * Longest interval an account with repeated fetch failures backs off to.
+ *
+ * @constant {number} RSS_FAILURE_MAX_INTERVAL_MS
+ */
+const RSS_FAILURE_MAX_INTERVAL_MS = Math.max(RSS_INTERVAL_MS, Number(process.env.RSS_FAILURE_MAX_INTERVAL_MS || 60 * 60_000));
+
+/** Interval growth per quiet poll. */
+const QUIET_BACKOFF = 1.5;
+
+/** Interval growth per consecutive failure. */
+const FAILURE_BACKOFF = 3;
+
+/**
+ * @typedef {Object} AccountSchedule
+ * @property {number} intervalMs Current interval
+ * @property {number} nextPollAt Timestamp (ms) of the next poll
+ * @property {number} consecutiveFailures Failed fetches since the last success
+ * @property {number|null} lastActivityAt Timestamp (ms) new posts were last seen
+ */
+
+/** @type {Map<string, AccountSchedule>} */
+const g_schedules = new Map();
+
+/**
+ * @brief Get (or create) the schedule for a source. New sources are due immediately.
+ *
+ * @param {string} sourceKey Source key (see sources.js)
+ * @returns {AccountSchedule}
+ */
+function getSchedule(sourceKey) {
+    let s = g_schedules.get(sourceKey);
+
+    if (!s) {
+        s = { intervalMs: RSS_INTERVAL_MS, nextPollAt: 0, consecutiveFailures: 0, lastActivityAt: null };
+        g_schedules.set(sourceKey, s);
+    }
+
+    return s;
+}
+
+/**
+ * @brief Whether a source should be polled now.
+ *
+ * @param {string} sourceKey Source key (see sources.js)
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isDue(sourceKey, now = Date.now()) {
+    return getSchedule(sourceKey).nextPollAt <= now;
+}
+
+/**
+ * @brief Update a source's interval after a poll and schedule its next one.
+ *
+ * @param {string} sourceKey Source key (see sources.js)
+ * @param {Object} result
+ * @param {boolean} [result.failed=false] The fetch failed on every instance
+ * @param {boolean} [result.active=false] The fetch returned new posts
+ * @param {boolean} [result.pinned=false] A guild pinned the source to fast polling
+ * @param {number} [now=Date.now()] When the poll started; the next poll is due one interval later
+ */
+function recordPoll(sourceKey, result, now = Date.now()) {
+    const { failed = false, active = false, pinned = false } = result || {};
+    const s = getSchedule(sourceKey);
+
+    if (failed) {
+        s.consecutiveFailures++;
+        s.intervalMs = Math.min(
+            RSS_INTERVAL_MS * FAILURE_BACKOFF ** s.consecutiveFailures,
+            RSS_FAILURE_MAX_INTERVAL_MS,
+        );
+    } else {
+        s.consecutiveFailures = 0;
+
+        if (active) {
+            s.lastActivityAt = now;
+            s.intervalMs = RSS_INTERVAL_MS;
+        } else if (pinned) {
+            s.intervalMs = RSS_INTERVAL_MS;
+        } else {
+            s.intervalMs = Math.min(Math.round(s.intervalMs * QUIET_BACKOFF), RSS_MAX_INTERVAL_MS);
+        }
+    }
+
+    s.nextPollAt = now + s.intervalMs;
+}
+
+/**
+ * @brief Make a source due on the next tick (e.g. after it is pinned to fast polling).
+ *
+ * @param {string} sourceKey Source key (see sources.js)
+ */
+function pollSoon(sourceKey) {
+    const s = getSchedule(sourceKey);
+    s.intervalMs = RSS_INTERVAL_MS;
+    s.nextPollAt = 0;
+}
+
+/**
+ * @brief Snapshot of a source's schedule.
+ *
+ * @param {string} sourceKey Source key (see sources.js)
+ * @returns {AccountSchedule}
+ */
+function getAccountSchedule(sourceKey) {
+    return { ...getSchedule(sourceKey) };
+}
+
+module.exports = {
+    RSS_INTERVAL_MS,
+    RSS_MAX_INTERVAL_MS,
+    RSS_FAILURE_MAX_INTERVAL_MS,
+    isDue,
+    recordPoll,
+    pollSoon,
+    getAccountSchedule,
+};
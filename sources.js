@@ -0,0 +1,75 @@
+/**
+ * @file sources.js
+ *
+ * @brief Source types a tracked account can have, and the key each source is polled under.
+ *
+ * A tracked account is a Twitter/X username read through Nitter, a Bluesky handle read
+ * through the AppView API, or an arbitrary RSS/Atom feed URL (blogs, YouTube channels,
+ * Mastodon accounts, ...). Guilds refer to a
+ * tracked account by its name; the poller, feed cursors and schedules use the source key,
+ * so every guild tracking the same source shares one fetch.
+ */
+
+'use strict';
+
+/**
+ * Supported source types.
+ *
+ * @constant {string[]} SOURCE_TYPES
+ */
+const SOURCE_TYPES = ['nitter', 'bluesky', 'feed'];
+
+/**
+ * @typedef {Object} TrackedSource
+ * @property {string} key Poll key shared by every guild tracking the source
+ * @property {'nitter'|'bluesky'|'feed'} type
+ * @property {string} name Name the guild tracks the source under (username or handle for nitter and bluesky)
+ * @property {string|null} url Feed URL, for feed sources
+ */
+
+/**
+ * @brief Poll key of a source.
+ *
+ * Nitter sources keep the lowercased username, so cursors stored before source types
+ * existed stay valid. Bluesky sources are prefixed so a handle cannot collide with a
+ * Twitter/X username. Feed sources are keyed by URL.
+ *
+ * @param {'nitter'|'bluesky'|'feed'} type
+ * @param {string} name
+ * @param {string|null} [url]
+ * @returns {string}
+ */
+function sourceKey(type, name, url = null) {
+    if (type === 'feed') return `feed:${url}`;
+    if (type === 'bluesky') return `bsky:${name.toLowerCase()}`;
+    return name.toLowerCase();
+}
+
+/**
+ * @brief Build a TrackedSource from a tracked_account row.
+ *
+ * @param {{ username: string, source_type?: string, source_url?: string|null }} row
+ * @returns {TrackedSource}
+ */
+function sourceFromRow(row) {
+    const type = SOURCE_TYPES.includes(row.source_type) ? row.source_type : 'nitter';
+    const url = row.source_url || null;
+    return { key: sourceKey(type, row.username, url), type, name: row.username, url };
+}
+
+/**
+ * @brief Display form of a tracked account name: "@handle" for Twitter/X and Bluesky, the bare name for feeds.
+ *
+ * @param {{ type: string, name: string }} source
+ * @returns {string}
+ */
+function formatSourceName(source) {
+    return source.type === 'feed' ? source.name : `@${source.name}`;
+}
+
+module.exports = {
+    SOURCE_TYPES,
+    sourceKey,
+    sourceFromRow,
+    formatSourceName,
+};
@@ -0,0 +1,383 @@
+/**
+ * @file templates.js
+ *
+ * @brief Per-guild post templates: placeholders, defaults and building the Discord message for a tweet.
+ */
+
+'use strict';
+
+const { getEmbedLabels } = require('./languages');
+const { getTranslator } = require('./translators');
+const { languageName } = require('./langdetect');
+
+/**
+ * Ways the original and translated text fields can be arranged.
+ *
+ * @constant {string[]} TEMPLATE_LAYOUTS
+ */
+const TEMPLATE_LAYOUTS = ['original-first', 'translated-first', 'side-by-side'];
+
+/**
+ * Placeholders available in the title, description and footer, with what they expand to.
+ *
+ * @constant {Object<string, string>} TEMPLATE_PLACEHOLDERS
+ */
+const TEMPLATE_PLACEHOLDERS = {
+    username: 'Tracked account',
+    author: 'Account that wrote the post (differs for retweets)',
+    headline: 'The "@user posted" line in the server language',
+    translated: 'Translated text',
+    original: 'Original text',
+    url: 'Link to the post',
+    published: 'Post date and time (UTC)',
+    lang: 'Translation language code',
+    source_lang: 'Detected language of the post, e.g. "Japanese"',
+    provider: 'The "Translated from … by …" line',
+};
+
+/**
+ * Limits for the text fields of one message when a thread is split over several messages.
+ * Discord allows 25 fields and 6000 characters per message; the rest is left for the
+ * headline, media and disclaimer fields.
+ */
+const THREAD_PAGE_MAX_FIELDS = 20;
+const THREAD_PAGE_MAX_CHARS = 4000;
+
+/**
+ * @typedef {Object} PostTemplate
+ * @property {number} color Embed color
+ * @property {string} title Embed title ('' for none)
+ * @property {string} description Embed description ('' for none)
+ * @property {string} footer Embed footer ('' for none)
+ * @property {'original-first'|'translated-first'|'side-by-side'} layout Arrangement of the text fields
+ * @property {boolean} showOriginal Include the original text field
+ * @property {boolean} showDisclaimer Include the machine translation disclaimer
+ * @property {boolean} showLink Send the post link with the embed
+ */
+
+/** @type {Readonly<PostTemplate>} */
+const DEFAULT_TEMPLATE = Object.freeze({
+    color: 0xfc389d, // Kusuo's hair color :)
+    title: 'Ψ Asoubot Ψ',
+    description: '{headline}',
+    footer: '{provider}',
+    layout: 'original-first',
+    showOriginal: true,
+    showDisclaimer: true,
+    showLink: true,
+});
+
+/**
+ * @brief Merge a stored template row over the defaults. NULL columns keep the default.
+ *
+ * @param {Object|undefined} row guild_template row
+ * @returns {PostTemplate}
+ */
+function resolveTemplate(row) {
+    const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+    const flag = (value, fallback) => (value === null || value === undefined ? fallback : !!value);
+
+    return {
+        color: pick(row?.color, DEFAULT_TEMPLATE.color),
+        title: pick(row?.title, DEFAULT_TEMPLATE.title),
+        description: pick(row?.description, DEFAULT_TEMPLATE.description),
+        footer: pick(row?.footer, DEFAULT_TEMPLATE.footer),
+        layout: TEMPLATE_LAYOUTS.includes(row?.layout) ? row.layout : DEFAULT_TEMPLATE.layout,
+        showOriginal: flag(row?.show_original, DEFAULT_TEMPLATE.showOriginal),
+        showDisclaimer: flag(row?.show_disclaimer, DEFAULT_TEMPLATE.showDisclaimer),
+        showLink: flag(row?.show_link, DEFAULT_TEMPLATE.showLink),
+    };
+}
+
+/**
+ * @brief Parse a hex color such as "#fc389d", "fc389d" or "0xfc389d".
+ *
+ * @param {string} input
+ * @returns {number|null} Color value, or null if the input is not a 6-digit hex color
+ */
+function parseColor(input) {
+    const match = (input || '').trim().match(/^(?:#|0x)?([0-9a-f]{6})$/i);
+    return match ? parseInt(match[1], 16) : null;
+}
+
+/**
+ * @brief Format a color value as "#rrggbb".
+ *
+ * @param {number} color
+ * @returns {string}
+ */
+function formatColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * @brief Cut text to a Discord length limit.
+ *
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function clip(text, max) {
+    return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+/**
+ * @brief Build the embed headline for a post based on its source and kind.
+ *
+ * @param {ReturnType<typeof getEmbedLabels>} labels
+ * @param {import('./rss').RssTweet} tweet
+ * @returns {string}
+ */
+function describeTweet(labels, tweet) {
+    if (tweet.thread) return labels.thread(tweet.username, tweet.thread.length);
+    if (tweet.sourceType === 'feed') return labels.feedPosted(tweet.profile?.displayName || tweet.username);
+    if (tweet.kind === 'retweet') return labels.retweeted(tweet.username, tweet.author);
+    if (tweet.kind === 'reply') return labels.replied(tweet.username, tweet.replyTo);
+    if (tweet.kind === 'quote') return labels.quoted(tweet.username, tweet.quotedAuthor);
+    return labels.posted(tweet.username);
+}
+
+/**
+ * @brief Name of a tweet's detected source language, in the embed language.
+ *
+ * @param {import('./rss').RssTweet} tweet
+ * @returns {string} The name, or '' if the language is unknown
+ */
+function describeSourceLang(tweet) {
+    return tweet.sourceLang ? languageName(tweet.sourceLang, tweet.targetLang || 'en') : '';
+}
+
+/**
+ * @brief Describe who (if anyone) translated a tweet, in the embed language.
+ *
+ * A translation corrected by a server member credits them instead of the provider.
+ *
+ * @param {ReturnType<typeof getEmbedLabels>} labels
+ * @param {import('./rss').RssTweet} tweet
+ * @returns {string}
+ */
+function describeProvider(labels, tweet) {
+    if (tweet.correctedBy) return labels.correctedBy(tweet.correctedBy);
+    if (tweet.quotaExhausted) return labels.quotaExhausted;
+    if (tweet.sameLanguage) return labels.sameLanguage(describeSourceLang(tweet));
+
+    const translator = getTranslator(tweet.translationProvider);
+    if (!translator || translator.name === 'passthrough') return labels.untranslated;
+
+    return tweet.sourceLang
+        ? labels.translatedFrom(describeSourceLang(tweet), translator.label)
+        : labels.translatedBy(translator.label);
+}
+
+/**
+ * @brief Format a publish date for the {published} placeholder.
+ *
+ * @param {Date|null} date
+ * @returns {string} e.g. "2024-05-01 12:34 UTC", or '' if unknown
+ */
+function formatPublished(date) {
+    if (!date) return '';
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * @brief Expand {placeholders} in template text. Unknown placeholders are left as written.
+ *
+ * @param {string} text
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function renderPlaceholders(text, values) {
+    return (text || '').replace(/\{(\w+)\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+}
+
+/**
+ * @brief Original and translated text fields, arranged by the template layout.
+ *
+ * Posts already in the target language, and posts toggled to show the original only, get
+ * just the original text field.
+ *
+ * @param {PostTemplate} template
+ * @param {ReturnType<typeof getEmbedLabels>} labels
+ * @param {string} originalText
+ * @param {string} translatedText
+ * @param {string} [prefix] Put before the field names, e.g. "[2/5] " for thread parts
+ * @param {boolean} [originalOnly] Leave out the translation
+ * @returns {Object[]}
+ */
+function buildTextFields(template, labels, originalText, translatedText, prefix = '', originalOnly = false) {
+    const original = {
+        name: `${prefix}${labels.original}`,
+        value: clip(originalText ? originalText : '(empty)', 1024),
+    };
+    const translated = {
+        name: `${prefix}${labels.translated}`,
+        value: clip(translatedText ? translatedText : '(empty)', 1024),
+    };
+
+    if (originalOnly) return [original];
+    if (!template.showOriginal) return [translated];
+    if (template.layout === 'translated-first') return [translated, original];
+    if (template.layout === 'side-by-side') return [{ ...original, inline: true }, { ...translated, inline: true }];
+    return [original, translated];
+}
+
+/**
+ * @brief Build the Discord message for a translated tweet from a guild's template.
+ *
+ * The ping, the embeds and the post link are sent as one message. Embeds sharing a URL are
+ * shown by Discord as one post with an image gallery.
+ *
+ * @param {PostTemplate} template
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {string} [ping] Mention to put in the message content
+ * @param {Object[]} [textFields] Text fields to use instead of the tweet's original and translated text
+ * @returns {{ content?: string, embeds: Object[] }}
+ */
+function buildTweetMessage(template, tweet, ping = '', textFields = null) {
+    const labels = getEmbedLabels(tweet.targetLang);
+    const originalOnly = !!(tweet.sameLanguage || tweet.originalOnly);
+
+    const values = {
+        username: tweet.username,
+        author: tweet.author || tweet.username,
+        headline: describeTweet(labels, tweet),
+        translated: tweet.translatedText || '',
+        original: tweet.originalText || '',
+        url: tweet.url || '',
+        published: formatPublished(tweet.publishedAt),
+        lang: tweet.targetLang || '',
+        source_lang: describeSourceLang(tweet),
+        provider: describeProvider(labels, tweet),
+    };
+
+    const fields = textFields
+        ? [...textFields]
+        : buildTextFields(template, labels, tweet.originalText, tweet.translatedText, '', originalOnly);
+
+    if (tweet.kind === 'quote' && tweet.quotedUrl) {
+        fields.push({
+            name: labels.quotedPost,
+            value: tweet.quotedUrl,
+        });
+    }
+
+    const images = (tweet.media || []).filter((m) => m.url);
+    const videos = (tweet.media || []).filter((m) => m.type !== 'photo');
+    const alts = (tweet.media || [])
+        .map((m, i) => (m.alt ? `[${i + 1}] ${(!originalOnly && m.translatedAlt) || m.alt}` : null))
+        .filter(Boolean);
+
+    if (videos.length > 0) {
+        fields.push({
+            name: labels.video,
+            value: videos.map((m) => m.videoUrl || tweet.url).join('\n'),
+        });
+    }
+
+    if (alts.length > 0) {
+        fields.push({
+            name: labels.altText,
+            value: clip(alts.join('\n'), 1024),
+        });
+    }
+
+    if (template.showDisclaimer && !originalOnly) {
+        fields.push({
+            name: labels.disclaimerTitle,
+            value: labels.disclaimer,
+        });
+    }
+
+    const embed = { color: template.color, fields };
+
+    const title = renderPlaceholders(template.title, values).trim();
+    const description = renderPlaceholders(template.description, values).trim();
+    const footer = renderPlaceholders(template.footer, values).trim();
+
+    if (title) embed.title = clip(title, 256);
+    if (description) embed.description = clip(description, 4096);
+    if (footer) embed.footer = { text: clip(footer, 2048) };
+
+    if (tweet.kind === 'retweet') {
+        embed.author = {
+            name: `@${tweet.author}`,
+            url: tweet.sourceType === 'bluesky'
+                ? `https://bsky.app/profile/${tweet.author}`
+                : `https://x.com/${tweet.author}`,
+        };
+    }
+
+    if (tweet.thread) embed.url = tweet.url;
+
+    const embeds = [embed];
+    if (images.length > 0) {
+        embed.url = tweet.url;
+        embed.image = { url: images[0].url };
+
+        // Discord shows at most 4 images per gallery; threads can carry more
+        for (const m of images.slice(1, 4)) {
+            embeds.push({ url: tweet.url, image: { url: m.url } });
+        }
+    }
+
+    const content = [ping, template.showLink ? tweet.url : ''].filter(Boolean).join('\n');
+
+    return content ? { content, embeds } : { embeds };
+}
+
+/**
+ * @brief Build the Discord messages for a translated tweet or thread.
+ *
+ * A thread gets one pair of text fields per part, numbered in order. When the parts do
+ * not fit in one message they continue in follow-up messages, so the first message keeps
+ * the ping, the headline, the media and the link to the first post.
+ *
+ * @param {PostTemplate} template
+ * @param {import('./rss').RssTweet} tweet Translated tweet
+ * @param {string} [ping] Mention to put in the first message's content
+ * @returns {{ content?: string, embeds: Object[] }[]} Messages to send in order
+ */
+function buildTweetMessages(template, tweet, ping = '') {
+    if (!tweet.thread) return [buildTweetMessage(template, tweet, ping)];
+
+    const labels = getEmbedLabels(tweet.targetLang);
+    const count = tweet.thread.length;
+
+    const pages = [[]];
+    let pageChars = 0;
+
+    tweet.thread.forEach((part, i) => {
+        const fields = buildTextFields(template, labels, part.originalText, part.translatedText, `[${i + 1}/${count}] `, tweet.sameLanguage || tweet.originalOnly);
+        const chars = fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+        const page = pages[pages.length - 1];
+
+        if (page.length > 0 && (page.length + fields.length > THREAD_PAGE_MAX_FIELDS || pageChars + chars > THREAD_PAGE_MAX_CHARS)) {
+            pages.push([...fields]);
+            pageChars = chars;
+            return;
+        }
+
+        page.push(...fields);
+        pageChars += chars;
+    });
+
+    return pages.map((fields, i) => (
+        i === 0
+            ? buildTweetMessage(template, tweet, ping, fields)
+            : { embeds: [{ color: template.color, url: tweet.url, fields }] }
+    ));
+}
+
+module.exports = {
+    TEMPLATE_LAYOUTS,
+    TEMPLATE_PLACEHOLDERS,
+    DEFAULT_TEMPLATE,
+    resolveTemplate,
+    parseColor,
+    formatColor,
+    buildTweetMessage,
+    buildTweetMessages,
+};
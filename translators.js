@@ -0,0 +1,203 @@
+/**
+ * @file translators.js
+ *
+ * @brief Translation providers (DeepL, LibreTranslate, passthrough) and the configured fallback chain.
+ */
+
+'use strict';
+
+const deepl = require('deepl-node');
+const { log } = require('./logger');
+
+/**
+ * @typedef {Object} Translator
+ * @property {string} name Identifier used in TRANSLATOR_CHAIN
+ * @property {string} label Display name shown in embeds
+ * @property {boolean} configured False when required settings (keys, URLs) are missing
+ * @property {(text: string, targetLang: string, options?: TranslateOptions) => Promise<TranslateResult>} translate Throws on provider errors
+ */
+
+/**
+ * @typedef {Object} TranslateOptions
+ * @property {string} [glossaryId] DeepL glossary to apply (ignored by other providers)
+ * @property {string} [sourceLang] Source language of the text, required by DeepL with a glossary
+ * @property {'more'|'less'} [formality] Preferred tone (DeepL only; ignored where the target language has none)
+ */
+
+/**
+ * @typedef {Object} TranslateResult
+ * @property {string} text Translated text ('' if the provider returned nothing)
+ * @property {string|null} detectedSourceLang Base code of the source language the provider detected, if it reports one
+ */
+
+/**
+ * Ordered provider names tried for every translation, from `TRANSLATOR_CHAIN`.
+ *
+ * @constant {string[]} TRANSLATOR_CHAIN
+ */
+const TRANSLATOR_CHAIN = (process.env.TRANSLATOR_CHAIN || 'deepl,passthrough')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Request timeout for HTTP translation backends, in milliseconds.
+ *
+ * @constant {number} TRANSLATOR_TIMEOUT_MS
+ */
+const TRANSLATOR_TIMEOUT_MS = Number(process.env.TRANSLATOR_TIMEOUT_MS || 15_000);
+
+const deeplAuthKey = process.env.DEEPL_AUTH_KEY || '';
+const deeplClient = deeplAuthKey ? new deepl.Translator(deeplAuthKey) : null;
+
+/**
+ * @brief DeepL provider backed by deepl-node.
+ *
+ * With a glossary the source language is passed as well, since DeepL cannot detect it
+ * when a glossary is used. Formality uses the "prefer_" variants, which fall back to the
+ * default tone for target languages without formality support.
+ *
+ * @param {import('deepl-node').Translator|null} client DeepL client, or null if no auth key is set
+ * @returns {Translator}
+ */
+function createDeeplTranslator(client) {
+    return {
+        name: 'deepl',
+        label: 'DeepL',
+        configured: !!client,
+        async translate(text, targetLang, options = {}) {
+            const extra = options.formality ? { formality: `prefer_${options.formality}` } : {};
+            const result = options.glossaryId
+                ? await client.translateText(text, options.sourceLang, targetLang, { ...extra, glossary: options.glossaryId })
+                : await client.translateText(text, null, targetLang, extra);
+            return {
+                text: result?.text ? result.text : '',
+                detectedSourceLang: result?.detectedSourceLang ? result.detectedSourceLang.toLowerCase() : null,
+            };
+        },
+    };
+}
+
+/**
+ * @brief Convert a DeepL target language code into a LibreTranslate language code.
+ *
+ * @param {string} targetLang DeepL target language code, e.g. "pt-BR"
+ * @returns {string}
+ */
+function toLibreTranslateLang(targetLang) {
+    const code = (targetLang || '').toLowerCase();
+    if (code === 'zh-hant') return 'zt';
+    return code.split('-')[0];
+}
+
+/**
+ * @brief Provider for any LibreTranslate-compatible HTTP API (self-hosted or public).
+ *
+ * @param {string} baseUrl Instance base URL, e.g. http://localhost:5000
+ * @param {string} [apiKey] API key, if the instance requires one
+ * @returns {Translator}
+ */
+function createLibreTranslateTranslator(baseUrl, apiKey) {
+    const base = (baseUrl || '').replace(/\/+$/, '');
+
+    return {
+        name: 'libretranslate',
+        label: 'LibreTranslate',
+        configured: !!base,
+        async translate(text, targetLang) {
+            const res = await fetch(`${base}/translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    q: text,
+                    source: 'auto',
+                    target: toLibreTranslateLang(targetLang),
+                    format: 'text',
+                    ...(apiKey ? { api_key: apiKey } : {}),
+                }),
+                signal: AbortSignal.timeout(TRANSLATOR_TIMEOUT_MS),
+            });
+
+            if (!res.ok) {
+                throw new Error(`LibreTranslate HTTP ${res.status}`);
+            }
+
+            const body = await res.json();
+            const detected = body?.detectedLanguage?.language;
+            return {
+                text: typeof body?.translatedText === 'string' ? body.translatedText : '',
+                detectedSourceLang: typeof detected === 'string' && detected ? detected.toLowerCase() : null,
+            };
+        },
+    };
+}
+
+/**
+ * @brief Provider that returns the original text unchanged.
+ *
+ * @returns {Translator}
+ */
+function createPassthroughTranslator() {
+    return {
+        name: 'passthrough',
+        label: 'Untranslated',
+        configured: true,
+        async translate(text) {
+            return { text, detectedSourceLang: null };
+        },
+    };
+}
+
+/** @type {Map<string, Translator>} */
+const g_translators = new Map([
+    ['deepl', createDeeplTranslator(deeplClient)],
+    ['libretranslate', createLibreTranslateTranslator(process.env.LIBRETRANSLATE_URL, process.env.LIBRETRANSLATE_API_KEY)],
+    ['passthrough', createPassthroughTranslator()],
+]);
+
+/**
+ * @brief Resolve the configured fallback chain into providers.
+ *
+ * Unknown and unconfigured providers are dropped with a log line.
+ *
+ * @returns {Translator[]}
+ */
+function buildTranslatorChain() {
+    const chain = [];
+
+    for (const name of TRANSLATOR_CHAIN) {
+        const translator = g_translators.get(name);
+        if (!translator) {
+            log(`[TRANSLATE] unknown provider "${name}" in TRANSLATOR_CHAIN; ignoring.`);
+            continue;
+        }
+        if (!translator.configured) {
+            log(`[TRANSLATE] provider "${name}" is not configured; skipping.`);
+            continue;
+        }
+        chain.push(translator);
+    }
+
+    log(`[TRANSLATE] provider chain: ${chain.map((t) => t.name).join(' -> ') || '(none)'}`);
+    return chain;
+}
+
+/**
+ * @brief Look up a provider by name.
+ *
+ * @param {string} name
+ * @returns {Translator|undefined}
+ */
+function getTranslator(name) {
+    return g_translators.get(name);
+}
+
+module.exports = {
+    TRANSLATOR_CHAIN,
+    deeplClient,
+    buildTranslatorChain,
+    getTranslator,
+    createDeeplTranslator,
+    createLibreTranslateTranslator,
+    createPassthroughTranslator,
+};
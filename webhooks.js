@@ -0,0 +1,146 @@
+/**
+ * @file webhooks.js
+ *
+ * @brief Deliver posts through a per-channel webhook so they appear under the tracked account's name and avatar.
+ */
+
+'use strict';
+
+const { PermissionFlagsBits } = require('discord.js');
+const { log, error } = require('./logger');
+
+/** Name given to webhooks the bot creates. */
+const WEBHOOK_NAME = 'Asoubot';
+
+/** Discord API error codes handled here. */
+const UNKNOWN_WEBHOOK = 10015;
+const MISSING_PERMISSIONS = 50013;
+
+/**
+ * Webhooks owned by the bot, per channel ID.
+ *
+ * @type {Map<string, import('discord.js').Webhook>}
+ */
+const g_webhooks = new Map();
+
+/**
+ * Channels already reported as missing Manage Webhooks, so the log is not flooded.
+ *
+ * @type {Set<string>}
+ */
+const g_warnedChannels = new Set();
+
+/**
+ * @brief Whether the bot may manage webhooks in a channel.
+ *
+ * @param {import('discord.js').GuildTextBasedChannel} channel
+ * @returns {boolean}
+ */
+function canManageWebhooks(channel) {
+    const me = channel.guild?.members?.me;
+    if (!me || typeof channel.permissionsFor !== 'function') return false;
+    return !!channel.permissionsFor(me)?.has(PermissionFlagsBits.ManageWebhooks);
+}
+
+/**
+ * @brief Get the bot's webhook for a channel, reusing an existing one or creating it.
+ *
+ * @param {import('discord.js').GuildTextBasedChannel} channel
+ * @returns {Promise<import('discord.js').Webhook>}
+ *
+ * @throws {DiscordAPIError} Fetching or creating the webhook failed
+ */
+async function getChannelWebhook(channel) {
+    const cached = g_webhooks.get(channel.id);
+    if (cached) return cached;
+
+    const hooks = await channel.fetchWebhooks();
+    let hook = hooks.find((h) => h.token && h.owner?.id === channel.client.user.id);
+
+    if (!hook) {
+        hook = await channel.createWebhook({ name: WEBHOOK_NAME, reason: 'Webhook delivery mode' });
+        log(`[WEBHOOK] created webhook in channel=${channel.id}`);
+    }
+
+    g_webhooks.set(channel.id, hook);
+    return hook;
+}
+
+/**
+ * @brief Send a message through the channel webhook under an account's name and avatar.
+ *
+ * A webhook deleted by someone is recreated once. Returns null (so the caller can send
+ * a normal bot message instead) when the channel does not support webhooks, the bot lacks
+ * Manage Webhooks, or the webhook send fails.
+ *
+ * @param {import('discord.js').GuildTextBasedChannel} channel
+ * @param {{ content?: string, embeds: Object[], components?: Object[] }} message
+ * @param {{ name: string, avatarUrl: string|null }} identity
+ * @returns {Promise<import('discord.js').Message|null>} The sent message, or null if it was not sent
+ */
+async function sendAsAccount(channel, message, identity) {
+    if (typeof channel.fetchWebhooks !== 'function') return null;
+
+    if (!canManageWebhooks(channel)) {
+        if (!g_warnedChannels.has(channel.id)) {
+            g_warnedChannels.add(channel.id);
+            log(`[WEBHOOK] missing Manage Webhooks in channel=${channel.id}; sending as the bot instead.`);
+        }
+        return null;
+    }
+    g_warnedChannels.delete(channel.id);
+
+    const payload = {
+        ...message,
+        username: identity.name.slice(0, 80),
+        ...(identity.avatarUrl ? { avatarURL: identity.avatarUrl } : {}),
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const hook = await getChannelWebhook(channel);
+            return await hook.send(payload);
+        } catch (err) {
+            g_webhooks.delete(channel.id);
+
+            if (err?.code === UNKNOWN_WEBHOOK && attempt === 0) {
+                log(`[WEBHOOK] webhook in channel=${channel.id} was deleted; recreating.`);
+                continue;
+            }
+
+            if (err?.code === MISSING_PERMISSIONS) {
+                log(`[WEBHOOK] missing permissions in channel=${channel.id}; sending as the bot instead.`);
+            } else {
+                error(`[WEBHOOK] send failed in channel=${channel.id}; sending as the bot instead:`, err);
+            }
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @brief Edit a message sent through the channel webhook.
+ *
+ * @param {import('discord.js').GuildTextBasedChannel} channel
+ * @param {string} messageId
+ * @param {{ content?: string, embeds?: Object[], components?: Object[] }} message
+ * @returns {Promise<void>}
+ *
+ * @throws {DiscordAPIError} The webhook or the message is gone, or the edit failed
+ */
+async function editAccountMessage(channel, messageId, message) {
+    try {
+        const hook = await getChannelWebhook(channel);
+        await hook.editMessage(messageId, message);
+    } catch (err) {
+        if (err?.code === UNKNOWN_WEBHOOK) g_webhooks.delete(channel.id);
+        throw err;
+    }
+}
+
+module.exports = {
+    sendAsAccount,
+    editAccountMessage,
+};